@@ -1,39 +1,839 @@
-const { Client, GatewayIntentBits, EmbedBuilder, PermissionFlagsBits, SlashCommandBuilder, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, ChannelType, EmbedBuilder, AttachmentBuilder, ActionRowBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits, SlashCommandBuilder, REST, Routes } = require('discord.js');
 const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cardIndex = require('./cardIndex');
+const { makeApiRequest } = require('./scryfall');
+const { createCache } = require('./cache');
+const { FINISHES, CARD_FLAGS, CONDITIONS, LANGUAGES, LIST_NAME_PATTERN, MAIN_LIST, parseOperations, parseCardSpecification, formatParseError } = require('./parser');
+const { parseCardQuery, matchesCardQuery, needsCardMeta } = require('./cardQuery');
 
 // Bot configuration
 const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMembers,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent
     ]
 });
 
 // Storage for card wants and pinned message tracking
-const serverData = new Map(); // guildId -> { userWants: Map, pinnedMessageId: string, channelId: string }
+const serverData = new Map(); // guildId -> { userWants: Map, userHaves: Map, archivedLists: Map, modLog: Array, changeLog: Map, boardMessageIds: string[], channelId: string, config: Object }
+const MOD_LOG_LIMIT = 200; // moderator actions kept per server
+const CHANGE_LOG_LIMIT = 500; // list changes kept per user, for /wants undo and /wants history
 
-// Card name cache to reduce API calls
-const cardCache = new Map(); // cardName -> { exactName: string, timestamp: number }
-const setCache = new Map(); // setCode -> { setName: string, timestamp: number }
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+// Per-guild settings, changed with /wants-config
+const DEFAULT_CONFIG = {
+    boardChannelId: null, // null: the board lives where the first command was used
+    maxSpecs: 50,
+    limitScope: 'overall', // overall: maxSpecs across all of a user's wants lists | list: maxSpecs in each list
+    maxCopies: 99,
+    legacyEnabled: true,
+    prefix: '!wants',
+    allowedRoleIds: [], // empty: everyone may use the bot
+    departedMembers: 'ask', // ask | archive | remove | keep
+    boardMode: 'user', // user | card | priority
+    staleAfterDays: 180, // remind about wants unchanged this long, 0 turns reminders off
+    staleGraceDays: 7, // expire them if the reminder isn't answered in time
+    reprintNotices: true // tell members when a new set reprints a card they want in any printing
+};
 
-// Rate limiting for Scryfall API (they allow ~10 requests/second)
-let lastApiCall = 0;
-const API_DELAY = 100; // 100ms between calls
+// A guild's own copy of the defaults; the arrays must not be shared between guilds
+function createDefaultConfig(saved = {}) {
+    return {
+        ...DEFAULT_CONFIG,
+        ...saved,
+        allowedRoleIds: [...(saved.allowedRoleIds || DEFAULT_CONFIG.allowedRoleIds)]
+    };
+}
+
+// Want priorities, 1 is the most wanted; entries without one are normal
+const PRIORITY_LEVELS = {
+    1: { label: 'Top', icon: '🔴' },
+    2: { label: 'High', icon: '🟠' },
+    3: { label: 'Normal', icon: '' },
+    4: { label: 'Low', icon: '🔵' },
+    5: { label: 'Lowest', icon: '⚪' }
+};
+const DEFAULT_PRIORITY = 3;
+
+const BOARD_MODES = {
+    user: 'by user',
+    card: 'by card',
+    priority: 'by priority'
+};
+
+// Named wants lists per user, besides the main one
+const MAX_NAMED_LISTS = 10;
+
+// Per-user card lists stored for each guild
+const LIST_TYPES = {
+    wants: { dataKey: 'userWants', label: 'wants list' },
+    haves: { dataKey: 'userHaves', label: 'haves list' }
+};
+
+// Persistent storage file (written atomically on every change)
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'data', 'wants.json');
+const SCHEMA_VERSION = 4;
+
+// Discord limits for the wants board
+const EMBED_DESCRIPTION_LIMIT = 4000; // Discord allows 4096, leave room for continuation notes
+const EMBED_TOTAL_LIMIT = 6000; // per message, across all embeds
+const MESSAGE_EMBED_LIMIT = 10;
+
+// Operations waiting for the user to pick a card or printing from a select menu
+const pendingOperations = new Map(); // token -> { kind, operation, exactName, userId, username, actorId, data, listType, expiresAt }
+const PENDING_OPERATION_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_CHOICE_ROWS = 5; // Discord allows 5 action rows per message
+
+// /wants browse results, paged with buttons
+const browseSessions = new Map(); // token -> { query, expiresAt }
+const BROWSE_SESSION_TTL = 15 * 60 * 1000;
+const BROWSE_PAGE_SIZE = 20;
+const BROWSE_FORMATS = ['standard', 'pioneer', 'modern', 'legacy', 'vintage', 'pauper', 'commander', 'oathbreaker', 'brawl', 'historic', 'timeless', 'explorer', 'premodern', 'oldschool', 'penny', 'paupercommander'];
+
+// Card and set caches to reduce API calls, saved to disk so restarts start warm
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'data');
+const CACHE_DURATION = (Number(process.env.CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000; // 24 hours
+const NEGATIVE_CACHE_DURATION = 60 * 60 * 1000; // remember "not found" for an hour
+const CACHE_SAVE_INTERVAL = 5 * 60 * 1000;
+const cardCache = createCache({ // cardName|set -> { exactName, setCode, setName, scryfallId, prices, imageUris, manaCost, typeLine, scryfallUri, timestamp } or { notFound: true }
+    name: 'card',
+    maxSize: Number(process.env.CARD_CACHE_SIZE) || 5000,
+    ttl: CACHE_DURATION,
+    file: path.join(CACHE_DIR, 'card-cache.json')
+});
+const setCache = createCache({ // setCode or name -> { setName, setCode } or { notFound: true }
+    name: 'set',
+    maxSize: Number(process.env.SET_CACHE_SIZE) || 3000,
+    ttl: CACHE_DURATION,
+    file: path.join(CACHE_DIR, 'set-cache.json')
+});
+
+// Price refresh schedule (Scryfall updates prices about once a day)
+const PRICE_CHECK_INTERVAL = 60 * 60 * 1000; // check hourly
+const PRICE_MAX_AGE = 24 * 60 * 60 * 1000; // refresh prices older than 24 hours
+const COLLECTION_BATCH_SIZE = 75; // Scryfall's limit for /cards/collection
+let priceRefreshRunning = false;
+
+// Reminders about old wants
+const STALE_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+let staleCheckRunning = false;
+
+// New set announcements; the announced set codes are saved with the server data
+const SET_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+// Set types that don't hold reprints anyone trades for
+const IGNORED_SET_TYPES = ['token', 'memorabilia', 'minigame', 'vanguard', 'alchemy', 'treasure_chest'];
+let announcedSets = null; // null until the first check records the sets that are already out
+let setCheckRunning = false;
+
+// Offline card database built from Scryfall bulk data
+const CARD_INDEX_ENABLED = process.env.OFFLINE_CARD_DB !== 'false';
+const BULK_DATA_TYPE = 'default_cards'; // every printing, the index answers printing lookups from it
+const BULK_DATA_FILE = process.env.BULK_DATA_FILE || path.join(__dirname, 'data', `${BULK_DATA_TYPE}.json`);
+const CARD_INDEX_REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // Scryfall updates bulk files daily
+let cardIndexRefreshRunning = false;
+
+// Options shared by the add and remove subcommands
+function addCardOptions(subcommand, verb) {
+    return subcommand
+        .addStringOption(option =>
+            option.setName('card')
+                .setDescription(`Card to ${verb}`)
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addIntegerOption(option =>
+            option.setName('quantity')
+                .setDescription('Number of copies (default 1)')
+                .setMinValue(1)
+                .setMaxValue(999)
+        )
+        .addStringOption(option =>
+            option.setName('set')
+                .setDescription('Set code or name (leave empty for any printing)')
+                .setAutocomplete(true)
+        )
+        .addBooleanOption(option =>
+            option.setName('foil')
+                .setDescription('Foil copies only')
+        )
+        .addStringOption(option =>
+            option.setName('finish')
+                .setDescription('Specific finish (overrides foil)')
+                .addChoices(
+                    { name: 'Non-foil', value: 'nonfoil' },
+                    { name: 'Foil', value: 'foil' },
+                    { name: 'Etched foil', value: 'etched' }
+                )
+        )
+        .addStringOption(option =>
+            option.setName('number')
+                .setDescription('Collector number within the set, e.g. 123')
+        )
+        .addStringOption(option =>
+            option.setName('condition')
+                .setDescription('Minimum condition')
+                .addChoices(
+                    { name: 'Near Mint', value: 'nm' },
+                    { name: 'Lightly Played or better', value: 'lp' },
+                    { name: 'Moderately Played or better', value: 'mp' },
+                    { name: 'Heavily Played or better', value: 'hp' }
+                )
+        )
+        .addStringOption(option =>
+            option.setName('language')
+                .setDescription('Card language')
+                .addChoices(
+                    { name: 'English', value: 'en' },
+                    { name: 'Spanish', value: 'es' },
+                    { name: 'French', value: 'fr' },
+                    { name: 'German', value: 'de' },
+                    { name: 'Italian', value: 'it' },
+                    { name: 'Portuguese', value: 'pt' },
+                    { name: 'Japanese', value: 'ja' },
+                    { name: 'Korean', value: 'ko' },
+                    { name: 'Russian', value: 'ru' },
+                    { name: 'Simplified Chinese', value: 'zhs' },
+                    { name: 'Traditional Chinese', value: 'zht' },
+                    { name: 'Phyrexian', value: 'ph' }
+                )
+        )
+        .addStringOption(option => addListOption(option, 'Named wants list (default: your main list)'));
+}
+
+function addListOption(option, description) {
+    return option.setName('list')
+        .setDescription(description)
+        .setAutocomplete(true);
+}
+
+function addPriorityChoices(option) {
+    return option.addChoices(
+        ...Object.entries(PRIORITY_LEVELS).map(([level, { label }]) => ({ name: `${level} - ${label}`, value: Number(level) }))
+    );
+}
 
 // Command definitions
 const commands = [
     new SlashCommandBuilder()
         .setName('wants')
         .setDescription('Manage your MTG card wants list')
-        .addStringOption(option =>
-            option.setName('action')
-                .setDescription('Action to perform (+card, -card, clear, help, or mixed like "+1 bolt (M25, foil) -2 opt")')
-                .setRequired(true)
+        .addSubcommand(subcommand =>
+            addCardOptions(subcommand.setName('add').setDescription('Add a card to your wants list'), 'add')
+                .addNumberOption(option =>
+                    option.setName('alert_price')
+                        .setDescription('Alert me when the price drops to this many USD or less')
+                        .setMinValue(0)
+                )
+                .addIntegerOption(option => addPriorityChoices(
+                    option.setName('priority')
+                        .setDescription('How much you want it (default normal)')
+                ))
+        )
+        .addSubcommand(subcommand =>
+            addCardOptions(subcommand.setName('remove').setDescription('Remove a card from your wants list'), 'remove')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('clear')
+                .setDescription('Remove all cards from your wants list')
+                .addStringOption(option => addListOption(option, 'Only clear this list (default: all your wants)'))
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('undo')
+                .setDescription('Revert your last change to your wants or haves')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('history')
+                .setDescription('Show recent changes to your wants and haves')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show your wants list')
+                .addStringOption(option => addListOption(option, 'Only show this list (default: all your wants)'))
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('lists')
+                .setDescription('Create, rename or delete named wants lists, e.g. for a cube or a deck')
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('What to do (default: show your lists)')
+                        .addChoices(
+                            { name: 'show', value: 'show' },
+                            { name: 'create', value: 'create' },
+                            { name: 'rename', value: 'rename' },
+                            { name: 'delete', value: 'delete' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('List name, like cube or modern')
+                        .setMaxLength(32)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('new_name')
+                        .setDescription('New name when renaming')
+                        .setMaxLength(32)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('who')
+                .setDescription('Find members who want a card')
+                .addStringOption(option =>
+                    option.setName('card')
+                        .setDescription('Card to look for')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show another member\'s wants and haves')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to view')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('browse')
+                .setDescription('Search everyone\'s wants by format, colors, rarity, set or a Scryfall-style query')
+                .addStringOption(option =>
+                    option.setName('query')
+                        .setDescription('Scryfall-style search, e.g. t:creature c:g mv<=3')
+                        .setMaxLength(200)
+                )
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('Only cards legal in this format')
+                        .addChoices(...BROWSE_FORMATS.map(format => ({ name: format, value: format })))
+                )
+                .addStringOption(option =>
+                    option.setName('colors')
+                        .setDescription('Color identity the cards fit in, e.g. wu, g or c for colorless')
+                        .setMaxLength(5)
+                )
+                .addStringOption(option =>
+                    option.setName('rarity')
+                        .setDescription('Rarity of the matched printing')
+                        .addChoices(
+                            { name: 'Common', value: 'common' },
+                            { name: 'Uncommon', value: 'uncommon' },
+                            { name: 'Rare', value: 'rare' },
+                            { name: 'Mythic', value: 'mythic' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('set')
+                        .setDescription('Only wants for this set')
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('priority')
+                .setDescription('Change how much you want a card on your list')
+                .addStringOption(option =>
+                    option.setName('card')
+                        .setDescription('Card on your wants list')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addIntegerOption(option => addPriorityChoices(
+                    option.setName('level')
+                        .setDescription('New priority')
+                        .setRequired(true)
+                ))
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('reorder')
+                .setDescription('Move a card to another position on your wants list')
+                .addStringOption(option =>
+                    option.setName('card')
+                        .setDescription('Card on your wants list')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('position')
+                        .setDescription('New position, 1 is the top of the list')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('help')
+                .setDescription('Show how to use the bot')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('bulk')
+                .setDescription('Several changes at once, like "+1 bolt (M25, foil) -2 opt"')
+                .addStringOption(option =>
+                    option.setName('operations')
+                        .setDescription('Operations such as "+1 Lightning Bolt (M25, foil) -2 Opt +3 Island"')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('haves')
+                .setDescription('Manage the cards you have for trade')
+                .addStringOption(option =>
+                    option.setName('operations')
+                        .setDescription('Operations like "+2 Lightning Bolt (M25) -1 Opt", "clear", or empty to show your list')
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('matches')
+                .setDescription('Find members to trade with')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('import')
+                .setDescription('Import a decklist into your wants list')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('Decklist file (.txt or .dek)')
+                )
+                .addStringOption(option =>
+                    option.setName('text')
+                        .setDescription('Decklist lines separated by ";", like "4 Lightning Bolt; 2 Opt (ELD)"')
+                )
+                .addBooleanOption(option =>
+                    option.setName('sideboard')
+                        .setDescription('Also import sideboard cards')
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('export')
+                .setDescription('Export a wants list as a file')
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('File format (default CSV)')
+                        .addChoices(
+                            { name: 'CSV', value: 'csv' },
+                            { name: 'Arena', value: 'arena' },
+                            { name: 'MTGO', value: 'mtgo' },
+                            { name: 'Moxfield', value: 'moxfield' },
+                            { name: 'TCGplayer Mass Entry', value: 'tcgplayer' },
+                            { name: 'Plain text', value: 'text' }
+                        )
+                )
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Whose list to export (default: yours)')
+                )
+                .addBooleanOption(option =>
+                    option.setName('all')
+                        .setDescription('Export everyone\'s wants')
+                )
+                .addStringOption(option => addListOption(option, 'Only export this list (default: main, CSV has every list)'))
+        ),
+    new SlashCommandBuilder()
+        .setName('wants-config')
+        .setDescription('Configure the wants bot for this server')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand.setName('show')
+                .setDescription('Show the current settings')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('channel')
+                .setDescription('Set the channel for the pinned wants board')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel for the board')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('limits')
+                .setDescription('Set per-user list limits')
+                .addIntegerOption(option =>
+                    option.setName('specs')
+                        .setDescription('Different card specifications per user (default 50)')
+                        .setMinValue(1)
+                        .setMaxValue(500)
+                )
+                .addIntegerOption(option =>
+                    option.setName('copies')
+                        .setDescription('Copies per card specification (default 99)')
+                        .setMinValue(1)
+                        .setMaxValue(999)
+                )
+                .addStringOption(option =>
+                    option.setName('scope')
+                        .setDescription('Whether the specification limit counts each named list separately')
+                        .addChoices(
+                            { name: 'overall (all of a user\'s lists together)', value: 'overall' },
+                            { name: 'per list', value: 'list' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('legacy')
+                .setDescription('Turn the text command on or off')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether text commands are handled')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('prefix')
+                        .setDescription('Text command prefix (default !wants)')
+                        .setMaxLength(20)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('roles')
+                .setDescription('Choose which roles may use the bot')
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Allow a role, remove it, or let everyone use the bot')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'add', value: 'add' },
+                            { name: 'remove', value: 'remove' },
+                            { name: 'clear (everyone)', value: 'clear' }
+                        )
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to add or remove')
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('cache')
+                .setDescription('Show card and set cache statistics')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('departed')
+                .setDescription('What to do with the lists of members who leave the server')
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('How departed members are handled')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'ask moderators in the board channel', value: 'ask' },
+                            { name: 'archive automatically', value: 'archive' },
+                            { name: 'remove automatically', value: 'remove' },
+                            { name: 'keep their lists', value: 'keep' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('board')
+                .setDescription('Choose how the pinned wants board is laid out')
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Board layout')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'by user (each member\'s list)', value: 'user' },
+                            { name: 'by card (who wants each card)', value: 'card' },
+                            { name: 'by priority (most wanted first)', value: 'priority' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('stale')
+                .setDescription('Set when members are asked about old wants')
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription('Ask about wants unchanged for this many days, 0 turns reminders off (default 180)')
+                        .setMinValue(0)
+                        .setMaxValue(3650)
+                )
+                .addIntegerOption(option =>
+                    option.setName('grace')
+                        .setDescription('Days to answer before the wants are removed (default 7)')
+                        .setMinValue(1)
+                        .setMaxValue(90)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('reprints')
+                .setDescription('Tell members when a new set reprints a card they want')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Send reprint notices (default on)')
+                        .setRequired(true)
+                )
+        ),
+    new SlashCommandBuilder()
+        .setName('wants-mod')
+        .setDescription('Moderate members\' wants lists')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+        .setDMPermission(false)
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show a member\'s wants and haves')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to view')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('edit')
+                .setDescription('Change a member\'s wants list')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to edit')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('operations')
+                        .setDescription('Operations such as "+1 Lightning Bolt (M25, foil) -2 Opt"')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('clear')
+                .setDescription('Clear a member\'s wants list')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to clear')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('restore')
+                .setDescription('Restore the archived lists of a member who left')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to restore')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('log')
+                .setDescription('Show recent moderator actions')
         ),
 ];
 
+// Get or create the data for a guild
+function getGuildData(guildId, channelId) {
+    if (!serverData.has(guildId)) {
+        serverData.set(guildId, {
+            userWants: new Map(),
+            userHaves: new Map(),
+            archivedLists: new Map(),
+            modLog: [],
+            changeLog: new Map(),
+            boardMessageIds: [],
+            channelId: channelId,
+            config: createDefaultConfig()
+        });
+    }
+
+    return serverData.get(guildId);
+}
+
+// Convert one user's { username, cards } list to a plain object and back
+function serializeUserData(userData) {
+    return {
+        username: userData.username,
+        lists: userData.lists || [],
+        cards: Object.fromEntries(userData.cards)
+    };
+}
+
+function deserializeUserData(saved) {
+    return {
+        username: saved.username,
+        lists: saved.lists || [],
+        cards: new Map(Object.entries(saved.cards || {}))
+    };
+}
+
+// Convert a userId -> { username, cards } map to a plain object
+function serializeUserLists(userLists) {
+    const saved = {};
+    for (const [userId, userData] of userLists.entries()) {
+        saved[userId] = serializeUserData(userData);
+    }
+    return saved;
+}
+
+function deserializeUserLists(saved) {
+    const userLists = new Map();
+    for (const [userId, userData] of Object.entries(saved || {})) {
+        userLists.set(userId, deserializeUserData(userData));
+    }
+    return userLists;
+}
+
+// Archived lists of departed members keep their wants and haves for a possible restore
+function serializeArchivedLists(archivedLists) {
+    const saved = {};
+    for (const [userId, archive] of archivedLists.entries()) {
+        saved[userId] = {
+            ...archive,
+            wants: archive.wants ? serializeUserData(archive.wants) : null,
+            haves: archive.haves ? serializeUserData(archive.haves) : null
+        };
+    }
+    return saved;
+}
+
+function deserializeArchivedLists(saved) {
+    const archivedLists = new Map();
+    for (const [userId, archive] of Object.entries(saved || {})) {
+        archivedLists.set(userId, {
+            ...archive,
+            wants: archive.wants ? deserializeUserData(archive.wants) : null,
+            haves: archive.haves ? deserializeUserData(archive.haves) : null
+        });
+    }
+    return archivedLists;
+}
+
+// Convert in-memory server data to a plain object for saving
+function serializeServerData() {
+    const guilds = {};
+
+    for (const [guildId, data] of serverData.entries()) {
+        guilds[guildId] = {
+            boardMessageIds: data.boardMessageIds,
+            channelId: data.channelId,
+            config: data.config,
+            userWants: serializeUserLists(data.userWants),
+            userHaves: serializeUserLists(data.userHaves),
+            archivedLists: serializeArchivedLists(data.archivedLists),
+            modLog: data.modLog,
+            changeLog: Object.fromEntries(data.changeLog)
+        };
+    }
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        announcedSets,
+        guilds
+    };
+}
+
+// Rebuild in-memory guild data from a saved object
+function deserializeGuildData(saved) {
+    return {
+        userWants: deserializeUserLists(saved.userWants),
+        userHaves: deserializeUserLists(saved.userHaves),
+        archivedLists: deserializeArchivedLists(saved.archivedLists),
+        modLog: saved.modLog || [],
+        changeLog: new Map(Object.entries(saved.changeLog || {})),
+        boardMessageIds: saved.boardMessageIds || [],
+        config: createDefaultConfig(saved.config),
+        channelId: saved.channelId || null
+    };
+}
+
+// Schema migrations, keyed by the version they upgrade from
+const migrations = {
+    // v1 stored each card as a plain quantity; v2 stores { quantity, scryfallId, prices, pricesUpdatedAt }
+    1: (state) => {
+        for (const guild of Object.values(state.guilds || {})) {
+            for (const listKey of ['userWants', 'userHaves']) {
+                for (const userData of Object.values(guild[listKey] || {})) {
+                    for (const [cardKey, quantity] of Object.entries(userData.cards || {})) {
+                        userData.cards[cardKey] = { quantity };
+                    }
+                }
+            }
+        }
+        return state;
+    },
+    // v2 had a single pinnedMessageId; v3 keeps every board message in boardMessageIds
+    2: (state) => {
+        for (const guild of Object.values(state.guilds || {})) {
+            guild.boardMessageIds = guild.pinnedMessageId ? [guild.pinnedMessageId] : [];
+            delete guild.pinnedMessageId;
+        }
+        return state;
+    },
+    // v4 adds createdAt/updatedAt to each card; older cards start their clock at the migration
+    3: (state) => {
+        const now = Date.now();
+        for (const guild of Object.values(state.guilds || {})) {
+            const lists = [guild.userWants, guild.userHaves];
+            for (const archive of Object.values(guild.archivedLists || {})) {
+                lists.push({ wants: archive.wants, haves: archive.haves });
+            }
+
+            for (const userLists of lists) {
+                for (const userData of Object.values(userLists || {})) {
+                    for (const entry of Object.values((userData && userData.cards) || {})) {
+                        entry.createdAt = entry.createdAt || now;
+                        entry.updatedAt = entry.updatedAt || now;
+                    }
+                }
+            }
+        }
+        return state;
+    }
+};
+
+function migrateState(state) {
+    let version = state.schemaVersion || 1;
+
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Data file schema version ${version} is newer than this bot supports (${SCHEMA_VERSION})`);
+    }
+
+    while (version < SCHEMA_VERSION) {
+        console.log(`Migrating saved data from schema version ${version} to ${version + 1}`);
+        state = migrations[version](state);
+        version++;
+        state.schemaVersion = version;
+    }
+
+    return state;
+}
+
+// Load saved state from disk into serverData
+function loadServerData() {
+    if (!fs.existsSync(DATA_FILE)) {
+        console.log(`No saved data at ${DATA_FILE}, starting with empty wants lists`);
+        return;
+    }
+
+    try {
+        const state = migrateState(JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')));
+
+        serverData.clear();
+        for (const [guildId, saved] of Object.entries(state.guilds || {})) {
+            serverData.set(guildId, deserializeGuildData(saved));
+        }
+        announcedSets = state.announcedSets || null;
+
+        console.log(`Loaded saved data for ${serverData.size} server(s) from ${DATA_FILE}`);
+    } catch (error) {
+        // Keep the unreadable file around instead of overwriting it on the next save
+        const backupFile = `${DATA_FILE}.corrupt-${Date.now()}`;
+        console.error(`Error loading saved data, moving it to ${backupFile}:`, error);
+        try {
+            fs.renameSync(DATA_FILE, backupFile);
+        } catch (renameError) {
+            console.error('Could not back up unreadable data file:', renameError.message);
+        }
+    }
+}
+
+// Save serverData to disk (write to a temp file, then rename over the old one)
+function saveServerData() {
+    try {
+        const tempFile = `${DATA_FILE}.tmp`;
+        fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify(serializeServerData(), null, 2));
+        fs.renameSync(tempFile, DATA_FILE);
+    } catch (error) {
+        console.error('Error saving data:', error);
+    }
+}
+
 // Register slash commands
 async function registerCommands() {
     try {
@@ -52,170 +852,107 @@ async function registerCommands() {
     }
 }
 
-// Enhanced card specification parser
-function parseCardSpecification(input) {
-    // Remove extra whitespace
-    input = input.trim();
-    
-    // Pattern to match: cardname (set, foil) or cardname (set) or cardname (foil)
-    const specMatch = input.match(/^(.+?)\s*(?:\(([^)]+)\))?\s*$/);
-    
-    if (!specMatch) {
-        return {
-            cardName: input,
-            setCode: null,
-            foil: false
-        };
+// Create a unique key for storage: name|set|#number|finish|flags|cond:x|lang:x
+function createCardKey({ cardName, setCode, collectorNumber, finish, flags, condition, language, list }) {
+    const parts = [cardName];
+    if (setCode) {
+        parts.push(setCode);
     }
-    
-    const cardName = specMatch[1].trim();
-    const specification = specMatch[2];
-    
-    let setCode = null;
-    let foil = false;
-    
-    if (specification) {
-        // Split by comma and process each part
-        const parts = specification.split(',').map(p => p.trim().toLowerCase());
-        
-        for (const part of parts) {
-            if (part === 'foil') {
-                foil = true;
-            } else {
-                // Assume it's a set code or set name
-                setCode = part;
-            }
-        }
+    if (collectorNumber) {
+        parts.push(`#${collectorNumber}`);
     }
-    
-    return {
-        cardName,
-        setCode,
-        foil
-    };
-}
-
-// Create a unique key for storage
-function createCardKey(cardName, setCode, foil) {
-    let key = cardName;
-    if (setCode) {
-        key += `|${setCode}`;
+    if (finish) {
+        parts.push(finish);
+    }
+    parts.push(...(flags || []).slice().sort());
+    if (condition) {
+        parts.push(`cond:${condition}`);
     }
-    if (foil) {
-        key += '|foil';
+    if (language) {
+        parts.push(`lang:${language}`);
     }
-    return key;
+    if (list) {
+        parts.push(`list:${list}`);
+    }
+    return parts.join('|');
 }
 
-// Parse card key back to components
+// Parse card key back to components (older "name|set|foil" keys read the same way)
 function parseCardKey(key) {
-    const parts = key.split('|');
-    return {
-        cardName: parts[0],
-        setCode: parts[1] || null,
-        foil: parts.includes('foil')
-    };
-}
-
-// Format card display name
-function formatCardDisplay(cardName, setCode, foil, setName = null) {
-    let display = cardName;
-    
-    if (setCode || setName) {
-        const setDisplay = setName || setCode;
-        display += ` (${setDisplay}${foil ? ', foil' : ''})`;
-    } else if (foil) {
-        display += ' (foil)';
-    }
-    
-    return display;
-}
+    const [cardName, ...parts] = key.split('|');
+    const keyInfo = { cardName, setCode: null, collectorNumber: null, finish: null, flags: [], condition: null, language: null, list: null };
 
-// Improved Scryfall API functions
-async function makeApiRequest(url) {
-    return new Promise((resolve, reject) => {
-        // Rate limiting
-        const now = Date.now();
-        const timeSinceLastCall = now - lastApiCall;
-        if (timeSinceLastCall < API_DELAY) {
-            setTimeout(() => {
-                makeApiRequest(url).then(resolve).catch(reject);
-            }, API_DELAY - timeSinceLastCall);
-            return;
+    for (const part of parts) {
+        if (part.startsWith('list:')) {
+            keyInfo.list = part.slice(5);
+        } else if (part.startsWith('cond:')) {
+            keyInfo.condition = part.slice(5);
+        } else if (part.startsWith('lang:')) {
+            keyInfo.language = part.slice(5);
+        } else if (FINISHES.includes(part)) {
+            keyInfo.finish = part;
+        } else if (CARD_FLAGS.includes(part)) {
+            keyInfo.flags.push(part);
+        } else if (part.startsWith('#')) {
+            keyInfo.collectorNumber = part.slice(1);
+        } else {
+            keyInfo.setCode = part;
         }
-        lastApiCall = Date.now();
-
-        console.log(`Fetching from Scryfall: ${url}`);
-        
-        const options = {
-            method: 'GET',
-            headers: {
-                'User-Agent': 'MTG-Discord-Bot/1.0',
-                'Accept': 'application/json'
-            },
-            timeout: 10000
-        };
+    }
 
-        const req = https.request(url, options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                try {
-                    if (!data) {
-                        return reject(new Error('Empty response from Scryfall API'));
-                    }
+    return keyInfo;
+}
 
-                    const response = JSON.parse(data);
-                    
-                    if (res.statusCode !== 200) {
-                        if (response.object === 'error') {
-                            if (response.code === 'not_found') {
-                                return reject(new Error('Not found'));
-                            } else if (response.code === 'ambiguous') {
-                                return reject(new Error('Ambiguous name'));
-                            } else {
-                                return reject(new Error(response.details || `API error: ${response.code}`));
-                            }
-                        } else {
-                            return reject(new Error(`HTTP ${res.statusCode}: ${response.message || 'Unknown error'}`));
-                        }
-                    }
-                    
-                    resolve(response);
-                } catch (parseError) {
-                    reject(new Error('Failed to parse API response'));
-                }
-            });
-        });
+// Printing details of a spec, e.g. "SLD #123, etched, showcase, LP+, JA"
+function formatSpecDetails(spec, setName = null) {
+    const details = [];
+    const setDisplay = setName || spec.setCode;
 
-        req.on('error', (error) => {
-            reject(new Error(`Failed to connect to API: ${error.message}`));
-        });
+    if (setDisplay) {
+        details.push(spec.collectorNumber ? `${setDisplay} #${spec.collectorNumber}` : setDisplay);
+    }
+    if (spec.finish) {
+        details.push(spec.finish);
+    }
+    details.push(...(spec.flags || []));
+    if (spec.condition) {
+        // Conditions are minimums, so everything but NM reads "or better"
+        details.push(spec.condition === 'nm' ? 'NM' : `${spec.condition.toUpperCase()}+`);
+    }
+    if (spec.language) {
+        details.push(spec.language.toUpperCase());
+    }
 
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error('API request timed out'));
-        });
+    return details.join(', ');
+}
 
-        req.setTimeout(10000);
-        req.end();
-    });
+// Format card display name, e.g. "Lightning Bolt (SLD #123, etched, showcase, LP+, JA)"
+function formatCardDisplay(spec, setName = null) {
+    const details = formatSpecDetails(spec, setName);
+    return details ? `${spec.cardName} (${details})` : spec.cardName;
 }
 
 async function searchSetByCode(setIdentifier) {
+    // Check cache first
+    const cached = setCache.get(setIdentifier.toLowerCase());
+    if (cached) {
+        if (cached.notFound) throw new Error(`Set "${setIdentifier}" not found`);
+        return cached.setName;
+    }
+
     try {
-        // Check cache first
-        const cached = setCache.get(setIdentifier.toLowerCase());
-        if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-            return cached.setName;
+        // The offline index knows every set in the bulk file
+        const indexed = cardIndex.isLoaded() ? cardIndex.findSet(setIdentifier) : null;
+        if (indexed) {
+            setCache.set(setIdentifier.toLowerCase(), {
+                setName: indexed.name,
+                setCode: indexed.code
+            });
+            return indexed.name;
         }
 
         const encodedSet = encodeURIComponent(setIdentifier);
-        const url = `https://api.scryfall.com/sets/${encodedSet}`;
+        const url = `/sets/${encodedSet}`;
         
         const response = await makeApiRequest(url);
         
@@ -226,13 +963,11 @@ async function searchSetByCode(setIdentifier) {
             // Cache both the provided identifier and the official code
             setCache.set(setIdentifier.toLowerCase(), {
                 setName: setName,
-                setCode: setCode,
-                timestamp: Date.now()
+                setCode: setCode
             });
             setCache.set(setCode.toLowerCase(), {
                 setName: setName,
-                setCode: setCode,
-                timestamp: Date.now()
+                setCode: setCode
             });
             
             return setName;
@@ -240,9 +975,13 @@ async function searchSetByCode(setIdentifier) {
             throw new Error('Invalid set response');
         }
     } catch (error) {
+        if (error.message === 'Ambiguous set') {
+            throw new Error(`Set "${setIdentifier}" matches several sets. Please use the set code.`);
+        }
+
         // Try searching by name if code lookup failed
         try {
-            const url = `https://api.scryfall.com/sets?q=${encodeURIComponent(setIdentifier)}`;
+            const url = `/sets?q=${encodeURIComponent(setIdentifier)}`;
             const response = await makeApiRequest(url);
             
             if (response.object === 'list' && response.data && response.data.length > 0) {
@@ -262,8 +1001,7 @@ async function searchSetByCode(setIdentifier) {
                 if (set) {
                     setCache.set(setIdentifier.toLowerCase(), {
                         setName: set.name,
-                        setCode: set.code,
-                        timestamp: Date.now()
+                        setCode: set.code
                     });
                     return set.name;
                 }
@@ -271,17 +1009,24 @@ async function searchSetByCode(setIdentifier) {
             
             throw new Error(`Set "${setIdentifier}" not found`);
         } catch (searchError) {
+            if (searchError.message === `Set "${setIdentifier}" not found`) {
+                setCache.set(setIdentifier.toLowerCase(), { notFound: true }, NEGATIVE_CACHE_DURATION);
+            }
             throw new Error(`Set "${setIdentifier}" not found`);
         }
     }
 }
 
 async function searchCardOnScryfall(cardName, setCode = null) {
+    // Create cache key
+    const cacheKey = `${cardName.toLowerCase()}${setCode ? `|${setCode.toLowerCase()}` : ''}`;
+
     try {
-        // Create cache key
-        const cacheKey = `${cardName.toLowerCase()}${setCode ? `|${setCode.toLowerCase()}` : ''}`;
         const cached = cardCache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+        if (cached) {
+            // Names we recently failed to find are not looked up again
+            if (cached.notFound) throw new Error('Not found');
+
             console.log(`Cache hit for: ${cardName} -> ${cached.exactName}`);
             return cached;
         }
@@ -291,20 +1036,36 @@ async function searchCardOnScryfall(cardName, setCode = null) {
             // Search for specific printing
             const encodedName = encodeURIComponent(cardName.trim());
             const encodedSet = encodeURIComponent(setCode.trim());
-            url = `https://api.scryfall.com/cards/named?fuzzy=${encodedName}&set=${encodedSet}`;
+            url = `/cards/named?fuzzy=${encodedName}&set=${encodedSet}`;
         } else {
             // Search for any printing
             const encodedName = encodeURIComponent(cardName.trim());
-            url = `https://api.scryfall.com/cards/named?fuzzy=${encodedName}`;
+            url = `/cards/named?fuzzy=${encodedName}`;
+        }
+
+        // Try the offline index first, cards newer than the bulk file fall back to the live API
+        let response = null;
+        if (cardIndex.isLoaded()) {
+            try {
+                response = cardIndex.findCard(cardName, setCode);
+            } catch (error) {
+                if (error.message !== 'Not found') throw error;
+            }
+        }
+
+        if (!response) {
+            response = await makeApiRequest(url);
         }
-        
-        const response = await makeApiRequest(url);
         
         if (response.object === 'card' && response.name) {
             const result = {
                 exactName: response.name,
                 setCode: response.set,
                 setName: response.set_name,
+                scryfallId: response.id,
+                prices: extractPrices(response),
+                ...extractCardDetails(response),
+                meta: extractCardMeta(response),
                 timestamp: Date.now()
             };
             
@@ -317,10 +1078,20 @@ async function searchCardOnScryfall(cardName, setCode = null) {
             throw new Error('Invalid card response');
         }
     } catch (error) {
+        if (error.message === 'Not found' && !cardCache.has(cacheKey)) {
+            cardCache.set(cacheKey, { notFound: true }, NEGATIVE_CACHE_DURATION);
+        }
+
         if (setCode && error.message === 'Not found') {
-            throw new Error(`Card "${cardName}" not found in set "${setCode}"`);
+            const notInSet = new Error(`Card "${cardName}" not found in set "${setCode}"`);
+            notInSet.code = 'not_found_in_set';
+            throw notInSet;
+        } else if (error.message === 'Ambiguous set') {
+            throw new Error(`Set "${setCode}" matches several sets. Please use the set code.`);
         } else if (error.message === 'Ambiguous name') {
-            throw new Error(`Card name "${cardName}" is ambiguous. Please be more specific.`);
+            const ambiguous = new Error(`Card name "${cardName}" is ambiguous. Please be more specific.`);
+            ambiguous.code = 'ambiguous';
+            throw ambiguous;
         } else if (error.message === 'Not found') {
             throw new Error(`Card "${cardName}" not found`);
         } else {
@@ -329,109 +1100,407 @@ async function searchCardOnScryfall(cardName, setCode = null) {
     }
 }
 
-// Test Scryfall connection function
-async function testScryfallConnection() {
-    try {
-        console.log('Testing Scryfall API connection...');
-        const testCard = await searchCardOnScryfall('Lightning Bolt');
-        console.log(`✅ Scryfall API test successful: ${testCard.exactName}`);
-        return true;
-    } catch (error) {
-        console.error('❌ Scryfall API test failed:', error.message);
-        return false;
-    }
+// Keep the prices we use from a Scryfall card object
+function extractPrices(card) {
+    const prices = card.prices || {};
+    return {
+        usd: prices.usd || null,
+        usd_foil: prices.usd_foil || null,
+        usd_etched: prices.usd_etched || null,
+        eur: prices.eur || null,
+        eur_foil: prices.eur_foil || null
+    };
 }
 
-// Parse multiple operations from a single command
-function parseMultipleOperations(input) {
-    const operations = [];
-    
-    // Enhanced regex to handle parentheses in card specifications
-    // Matches: +1 Lightning Bolt (M25, foil) -2 Opt +3 Island (foil)
-    const regex = /([+-])(\d+)\s+([^+-]+?)(?=\s*[+-]\d+|$)/g;
-    let match;
-    
-    while ((match = regex.exec(input)) !== null) {
-        const operation = match[1]; // + or -
-        const quantity = parseInt(match[2]);
-        const cardSpec = match[3].trim();
-        
-        const parsed = parseCardSpecification(cardSpec);
-        
-        operations.push({
-            operation,
-            quantity,
-            ...parsed
-        });
+// Keep what the reply embeds show about a printing
+function extractCardDetails(card) {
+    const faces = card.card_faces || [];
+    const imageUris = card.image_uris || (faces[0] && faces[0].image_uris) || null;
+    return {
+        collectorNumber: card.collector_number || null,
+        imageUris: imageUris ? { small: imageUris.small || null, normal: imageUris.normal || null } : null,
+        manaCost: card.mana_cost !== undefined ? card.mana_cost : faces.map(face => face.mana_cost).filter(Boolean).join(' // '),
+        typeLine: card.type_line || faces.map(face => face.type_line).join(' // '),
+        scryfallUri: card.scryfall_uri || null
+    };
+}
+
+// Card data /wants browse filters on, stored with each want
+function extractCardMeta(card) {
+    const faces = card.card_faces || [];
+    const legalities = card.legalities || {};
+    const { typeLine, manaCost } = extractCardDetails(card);
+    // Double-faced cards only have colors on their faces
+    const colors = card.colors || Array.from(new Set(faces.flatMap(face => face.colors || [])));
+
+    return {
+        typeLine,
+        manaCost,
+        cmc: typeof card.cmc === 'number' ? card.cmc : null,
+        colors: colors.map(color => color.toLowerCase()),
+        colorIdentity: (card.color_identity || []).map(color => color.toLowerCase()),
+        rarity: card.rarity || null,
+        legalities: Object.keys(legalities).filter(format => ['legal', 'restricted'].includes(legalities[format]))
+    };
+}
+
+// Price fields to try, in order, for each finish (no finish takes whatever is cheapest to find)
+const PRICE_FIELDS = {
+    nonfoil: ['usd', 'eur'],
+    foil: ['usd_foil', 'eur_foil'],
+    etched: ['usd_etched', 'usd_foil', 'eur_foil'],
+    any: ['usd', 'usd_foil', 'eur', 'eur_foil']
+};
+
+// Pick the price for a stored card, using the foil or etched price for those finishes.
+// With a currency, only prices in that currency count.
+function getCardPrice(entry, finish, currency = null) {
+    const prices = entry.prices;
+    if (!prices) {
+        return null;
     }
-    
-    // If no matches found, try single operation format
-    if (operations.length === 0) {
-        const singleMatch = input.match(/^([+-])(\d+)\s+(.+)$/);
-        if (singleMatch) {
-            const parsed = parseCardSpecification(singleMatch[3].trim());
-            operations.push({
-                operation: singleMatch[1],
-                quantity: parseInt(singleMatch[2]),
-                ...parsed
+
+    const fields = (PRICE_FIELDS[finish] || PRICE_FIELDS.any)
+        .filter(field => !currency || field.startsWith(currency.toLowerCase()));
+    for (const field of fields) {
+        if (prices[field]) {
+            return { amount: parseFloat(prices[field]), currency: field.startsWith('eur') ? 'EUR' : 'USD' };
+        }
+    }
+
+    return null;
+}
+
+function formatPrice(amount, currency) {
+    return `${currency === 'EUR' ? '€' : '$'}${amount.toFixed(2)}`;
+}
+
+// Format { USD: 12.5, EUR: 3 } as "$12.50 + €3.00"
+function formatPriceTotals(totals) {
+    const parts = Object.entries(totals)
+        .filter(([, amount]) => amount > 0)
+        .map(([currency, amount]) => formatPrice(amount, currency));
+    return parts.length > 0 ? parts.join(' + ') : null;
+}
+
+// Load every set into the set cache so set names can be autocompleted
+async function loadSetList() {
+    try {
+        const response = await makeApiRequest('/sets');
+
+        for (const set of response.data || []) {
+            setCache.set(set.code.toLowerCase(), {
+                setName: set.name,
+                setCode: set.code
             });
         }
+
+        console.log(`Loaded ${(response.data || []).length} sets for autocomplete`);
+    } catch (error) {
+        console.error('Could not load set list:', error.message);
+    }
+}
+
+// Load the bulk data file from disk, then download a newer one if Scryfall has it
+async function refreshCardIndex() {
+    if (!CARD_INDEX_ENABLED || cardIndexRefreshRunning) return;
+    cardIndexRefreshRunning = true;
+
+    try {
+        // Load what we already have first so lookups work even if Scryfall can't be reached
+        if (!cardIndex.isLoaded() && fs.existsSync(BULK_DATA_FILE)) {
+            await cardIndex.load(BULK_DATA_FILE);
+            seedSetCache();
+        }
+
+        const bulk = await makeApiRequest(`/bulk-data/${BULK_DATA_TYPE}`);
+        const downloadedAt = fs.existsSync(BULK_DATA_FILE) ? fs.statSync(BULK_DATA_FILE).mtimeMs : 0;
+        if (downloadedAt >= Date.parse(bulk.updated_at)) return;
+
+        console.log(`Downloading Scryfall ${BULK_DATA_TYPE} bulk data (${Math.round(bulk.size / 1024 / 1024)} MB)...`);
+        await cardIndex.download(bulk.download_uri, BULK_DATA_FILE);
+        await cardIndex.load(BULK_DATA_FILE);
+        seedSetCache();
+
+        // Lookups cached before the refresh may point at outdated data
+        cardCache.clear();
+    } catch (error) {
+        console.error('Could not refresh offline card index:', error.message);
+    } finally {
+        cardIndexRefreshRunning = false;
+    }
+}
+
+// Add the index's sets to the set cache so autocomplete works without /sets
+function seedSetCache() {
+    for (const set of cardIndex.getSets()) {
+        if (setCache.has(set.code)) continue;
+        setCache.set(set.code, {
+            setName: set.name,
+            setCode: set.code
+        });
+    }
+}
+
+function saveCaches() {
+    cardCache.save();
+    setCache.save();
+}
+
+// Test Scryfall connection function
+async function testScryfallConnection() {
+    try {
+        console.log('Testing Scryfall API connection...');
+        const testCard = await searchCardOnScryfall('Lightning Bolt');
+        console.log(`✅ Scryfall API test successful: ${testCard.exactName}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Scryfall API test failed:', error.message);
+        return false;
     }
-    
-    return operations;
 }
 
 // Bot ready event
 client.once('ready', async () => {
     console.log(`${client.user.tag} is online!`);
+    setInterval(saveCaches, CACHE_SAVE_INTERVAL);
     await registerCommands();
     
     // Test Scryfall connection on startup
     await testScryfallConnection();
+    await loadSetList();
+    setInterval(loadSetList, CACHE_DURATION);
+
+    // Build the offline card index in the background, it can take a while
+    refreshCardIndex();
+    setInterval(refreshCardIndex, CARD_INDEX_REFRESH_INTERVAL);
+    setInterval(sweepPendingOperations, 60 * 1000);
+
+    // Keep prices fresh
+    refreshPrices();
+    setInterval(refreshPrices, PRICE_CHECK_INTERVAL);
+
+    // Ask about old wants and expire unanswered reminders
+    checkStaleWants();
+    setInterval(checkStaleWants, STALE_CHECK_INTERVAL);
+
+    // Watch for new sets that reprint wanted cards
+    checkNewSets();
+    setInterval(checkNewSets, SET_CHECK_INTERVAL);
 });
 
 // Slash command handler
 client.on('interactionCreate', async (interaction) => {
+    if (interaction.isAutocomplete()) {
+        if (interaction.commandName === 'wants') {
+            await handleAutocomplete(interaction);
+        }
+        return;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('departed:')) {
+        try {
+            await handleDepartedButton(interaction);
+        } catch (error) {
+            console.error('Error handling departed member button:', error);
+        }
+        return;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('clear:')) {
+        try {
+            await handleClearButton(interaction);
+        } catch (error) {
+            console.error('Error handling clear confirmation:', error);
+        }
+        return;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('browse:')) {
+        try {
+            await handleBrowseButton(interaction);
+        } catch (error) {
+            console.error('Error handling browse page button:', error);
+        }
+        return;
+    }
+
+    if (interaction.isButton() && interaction.customId.startsWith('stale:')) {
+        try {
+            await handleStaleButton(interaction);
+        } catch (error) {
+            console.error('Error handling stale wants button:', error);
+        }
+        return;
+    }
+
+    if (interaction.isStringSelectMenu() && interaction.customId.startsWith('pick:')) {
+        try {
+            await handlePendingChoice(interaction);
+        } catch (error) {
+            console.error('Error handling card choice:', error);
+        }
+        return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
+
+    if (interaction.commandName === 'wants-config') {
+        await handleConfigCommand(interaction);
+        return;
+    }
+
+    if (interaction.commandName === 'wants-mod') {
+        await handleModCommand(interaction);
+        return;
+    }
+
     if (interaction.commandName !== 'wants') return;
 
-    const args = interaction.options.getString('action');
+    const subcommand = interaction.options.getSubcommand();
     const userId = interaction.user.id;
     const username = interaction.user.displayName || interaction.user.username;
     const guildId = interaction.guild.id;
 
-    // Initialize server data if not exists
-    if (!serverData.has(guildId)) {
-        serverData.set(guildId, {
-            userWants: new Map(),
-            pinnedMessageId: null,
-            channelId: interaction.channel.id
-        });
-    }
+    const data = getGuildData(guildId, interaction.channel.id);
 
-    const data = serverData.get(guildId);
+    if (!canUseBot(interaction.member, data.config)) {
+        await interaction.reply({ content: '❌ You don\'t have a role that is allowed to use this bot.', ephemeral: true });
+        return;
+    }
 
     try {
-        if (args.toLowerCase() === 'clear') {
-            // Clear user's wants list
-            const result = await handleClearWants(userId, username, data);
+        if (subcommand === 'add' || subcommand === 'remove') {
+            // Single card from typed options
+            await interaction.deferReply({ ephemeral: true });
+            const setCode = interaction.options.getString('set');
+            const operation = {
+                operation: subcommand === 'add' ? '+' : '-',
+                quantity: interaction.options.getInteger('quantity') || 1,
+                cardName: interaction.options.getString('card').trim(),
+                setCode: setCode ? setCode.trim().toLowerCase() : null,
+                collectorNumber: (interaction.options.getString('number') || '').trim().replace(/^#/, '') || null,
+                finish: interaction.options.getString('finish') || (interaction.options.getBoolean('foil') ? 'foil' : null),
+                flags: [],
+                condition: interaction.options.getString('condition'),
+                language: interaction.options.getString('language'),
+                priority: subcommand === 'add' ? interaction.options.getInteger('priority') : null,
+                list: parseListName(interaction.options.getString('list')),
+                maxPrice: subcommand === 'add' ? interaction.options.getNumber('alert_price') : null
+            };
+            const result = await applyOperations([operation], userId, username, data);
+
+            if (result.hasChanges) {
+                await updatePinnedMessage(interaction.channel, data);
+            }
+
+            await interaction.editReply({
+                content: formatOperationMessage(result.results, result.errors),
+                components: createChoiceRows(result.choices, userId, username, data),
+                embeds: createAddedCardEmbeds(result.cards)
+            });
+        } else if (subcommand === 'clear') {
+            // Clearing only happens after the confirmation button
+            const result = createClearConfirmation(userId, data, 'wants', normalizeListName(interaction.options.getString('list')));
+            await interaction.reply({ content: result.message, components: result.components || [], ephemeral: true });
+        } else if (subcommand === 'undo') {
+            const result = handleUndo(userId, username, data);
             if (result.success) {
                 await updatePinnedMessage(interaction.channel, data);
             }
             await interaction.reply({ content: result.message, ephemeral: true });
-        } else if (args === '' || args.toLowerCase() === 'help') {
+        } else if (subcommand === 'history') {
+            const result = handleHistory(userId, data);
+            await interaction.reply({ content: result.message, ephemeral: true });
+        } else if (subcommand === 'list') {
+            const result = handleShowList(userId, data, 'wants', normalizeListName(interaction.options.getString('list')));
+            await interaction.reply({ content: result.message, ephemeral: true });
+        } else if (subcommand === 'lists') {
+            const result = handleListsCommand(
+                interaction.options.getString('action'),
+                interaction.options.getString('name'),
+                interaction.options.getString('new_name'),
+                userId, username, data
+            );
+            if (result.success && ['rename', 'delete'].includes(interaction.options.getString('action'))) {
+                await updatePinnedMessage(interaction.channel, data);
+            }
+            await interaction.reply({ content: result.message, ephemeral: true });
+        } else if (subcommand === 'who') {
+            // Find everyone who wants a card
+            await interaction.deferReply({ ephemeral: true });
+            const result = await handleWhoWants(interaction.options.getString('card').trim(), data);
+            await interaction.editReply({ content: result.message });
+        } else if (subcommand === 'view') {
+            const result = handleViewUser(interaction.options.getUser('user').id, data);
+            await interaction.reply({ content: result.message, ephemeral: true });
+        } else if (subcommand === 'browse') {
+            // Filter the server's wants; the set option may need a Scryfall lookup
+            await interaction.deferReply({ ephemeral: true });
+            const query = await buildBrowseQuery({
+                query: interaction.options.getString('query'),
+                format: interaction.options.getString('format'),
+                colors: interaction.options.getString('colors'),
+                rarity: interaction.options.getString('rarity'),
+                set: interaction.options.getString('set')
+            });
+            const result = query.error ? { message: query.error } : handleBrowse(query.text, data);
+            await interaction.editReply({ content: result.message || '', embeds: result.embeds || [], components: result.components || [] });
+        } else if (subcommand === 'priority' || subcommand === 'reorder') {
+            // Change the priority or position of one of the user's wants
+            const card = interaction.options.getString('card');
+            const result = subcommand === 'priority'
+                ? handleSetPriority(card, interaction.options.getInteger('level'), userId, data)
+                : handleReorder(card, interaction.options.getInteger('position'), userId, data);
+
+            if (result.success) {
+                await updatePinnedMessage(interaction.channel, data);
+            }
+            await interaction.reply({ content: result.message, ephemeral: true });
+        } else if (subcommand === 'help') {
             // Show help
-            await showHelp(interaction);
-        } else {
+            await showHelp(interaction, data);
+        } else if (subcommand === 'haves') {
+            // Manage the user's haves list
+            await interaction.deferReply({ ephemeral: true });
+            const result = await handleHavesCommand((interaction.options.getString('operations') || '').trim(), userId, username, data);
+            await interaction.editReply({ content: result.message, components: result.components || [], embeds: result.embeds || [] });
+        } else if (subcommand === 'import') {
+            // Import a decklist into the user's wants
+            await interaction.deferReply({ ephemeral: true });
+            const attachment = interaction.options.getAttachment('file');
+            let text = interaction.options.getString('text') || '';
+            if (interaction.options.getBoolean('sideboard')) {
+                text += ' --sideboard';
+            }
+            const result = await handleImportCommand(text.trim(), attachment, userId, username, data);
+
+            if (result.hasChanges) {
+                await updatePinnedMessage(interaction.channel, data);
+            }
+
+            await interaction.editReply({ content: result.message, components: result.components || [], embeds: result.embeds || [] });
+        } else if (subcommand === 'export') {
+            // Export a wants list as a file
+            const format = interaction.options.getString('format') || 'csv';
+            const targetUser = interaction.options.getUser('user');
+            const targetId = interaction.options.getBoolean('all') ? null : (targetUser ? targetUser.id : userId);
+            const result = handleExportCommand(format, targetId, userId, data, normalizeListName(interaction.options.getString('list')));
+            await interaction.reply({ content: result.message, files: result.files, ephemeral: true });
+        } else if (subcommand === 'matches') {
+            // Show trade matches for the user
+            const result = handleShowMatches(userId, data);
+            await interaction.reply({ content: result.message, embeds: result.embeds, ephemeral: true });
+        } else if (subcommand === 'bulk') {
             // Handle multiple operations
             await interaction.deferReply({ ephemeral: true });
-            const result = await handleMultipleOperations(args, userId, username, data);
+            const result = await handleMultipleOperations(interaction.options.getString('operations'), userId, username, data);
             
             if (result.hasChanges) {
                 await updatePinnedMessage(interaction.channel, data);
             }
             
-            await interaction.editReply({ content: result.message });
+            await interaction.editReply({ content: result.message, components: result.components || [], embeds: result.embeds || [] });
         }
     } catch (error) {
         console.error('Error handling command:', error);
@@ -447,453 +1516,3459 @@ client.on('interactionCreate', async (interaction) => {
     }
 });
 
-// Legacy message command support (for backward compatibility)
-client.on('messageCreate', async (message) => {
-    if (message.author.bot) return;
-    if (!message.content.startsWith('!wants')) return;
+// Record a moderator action (newest last, capped at MOD_LOG_LIMIT)
+function logModAction(data, moderator, action, targetId, targetName, details = '') {
+    data.modLog.push({
+        at: Date.now(),
+        moderatorId: moderator ? moderator.id : null,
+        moderatorName: moderator ? (moderator.displayName || moderator.username) : 'automatic',
+        action,
+        targetId,
+        targetName,
+        details
+    });
 
-    const args = message.content.slice(6).trim();
-    const userId = message.author.id;
-    const username = message.author.displayName || message.author.username;
-    const guildId = message.guild.id;
+    if (data.modLog.length > MOD_LOG_LIMIT) {
+        data.modLog.splice(0, data.modLog.length - MOD_LOG_LIMIT);
+    }
 
-    // Initialize server data if not exists
-    if (!serverData.has(guildId)) {
-        serverData.set(guildId, {
-            userWants: new Map(),
-            pinnedMessageId: null,
-            channelId: message.channel.id
+    saveServerData();
+}
+
+function formatUserLists(userId, data) {
+    const parts = [];
+    for (const listType of Object.keys(LIST_TYPES)) {
+        const userData = data[LIST_TYPES[listType].dataKey].get(userId);
+        if (userData && userData.cards.size > 0) {
+            parts.push(`**${LIST_TYPES[listType].label}:**\n${createUserSection(userData).lines.join('\n')}`);
+        }
+    }
+    return parts.join('\n\n');
+}
+
+// Move a member's wants and haves into the archive (or drop them) and return how many specs were affected
+function archiveOrRemoveLists(userId, data, archive, moderator) {
+    const wants = data.userWants.get(userId) || null;
+    const haves = data.userHaves.get(userId) || null;
+    const username = (wants || haves) ? (wants || haves).username : userId;
+    const specCount = (wants ? wants.cards.size : 0) + (haves ? haves.cards.size : 0);
+
+    if (archive) {
+        data.archivedLists.set(userId, {
+            username,
+            archivedAt: Date.now(),
+            archivedBy: moderator ? moderator.id : null,
+            wants,
+            haves
         });
     }
 
-    const data = serverData.get(guildId);
+    data.userWants.delete(userId);
+    data.userHaves.delete(userId);
+    logModAction(data, moderator, archive ? 'archive' : 'remove', userId, username, `${specCount} card specifications`);
+
+    return { username, specCount };
+}
+
+// Moderator-only /wants-mod command
+async function handleModCommand(interaction) {
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageMessages)) {
+        await interaction.reply({ content: '❌ You need the Manage Messages permission to moderate wants lists.', ephemeral: true });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const data = getGuildData(interaction.guild.id, interaction.channel.id);
+    const moderator = interaction.member || interaction.user;
 
     try {
-        if (args.toLowerCase() === 'clear') {
-            const result = await handleClearWants(userId, username, data);
+        if (subcommand === 'log') {
+            const entries = data.modLog.slice(-20).reverse();
+            const lines = entries.map(entry =>
+                `<t:${Math.floor(entry.at / 1000)}:R> **${entry.moderatorName}** ${entry.action} **${entry.targetName}**${entry.details ? ` — ${entry.details}` : ''}`
+            );
+            await interaction.reply({
+                content: lines.length > 0 ? truncateMessage(`**Recent moderator actions:**\n${lines.join('\n')}`) : 'No moderator actions recorded yet.',
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+            return;
+        }
+
+        const targetUser = interaction.options.getUser('user');
+        const targetMember = interaction.options.getMember('user');
+        const existing = data.userWants.get(targetUser.id) || data.userHaves.get(targetUser.id);
+        const targetName = existing ? existing.username : (targetMember ? targetMember.displayName : targetUser.username);
+
+        if (subcommand === 'view') {
+            const lists = formatUserLists(targetUser.id, data);
+            await interaction.reply({
+                content: lists ? truncateMessage(`**${targetName}'s lists:**\n\n${lists}`) : `❌ ${targetName} has no wants or haves.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'edit') {
+            await interaction.deferReply({ ephemeral: true });
+            const operations = interaction.options.getString('operations');
+            const result = await handleMultipleOperations(operations, targetUser.id, targetName, data, 'wants', interaction.user.id);
+
+            if (result.hasChanges) {
+                logModAction(data, moderator, 'edit', targetUser.id, targetName, operations);
+                await updatePinnedMessage(interaction.channel, data);
+            }
+
+            await interaction.editReply({ content: truncateMessage(`**Editing ${targetName}'s wants:**\n${result.message}`), components: result.components || [], embeds: result.embeds || [] });
+            return;
+        }
+
+        if (subcommand === 'clear') {
+            const result = await handleClearWants(targetUser.id, targetName, data, 'wants', null, interaction.user.id);
             if (result.success) {
-                await updatePinnedMessage(message.channel, data);
+                logModAction(data, moderator, 'clear', targetUser.id, targetName);
+                await updatePinnedMessage(interaction.channel, data);
             }
-            await message.reply(result.message);
-        } else if (args === '' || args.toLowerCase() === 'help') {
-            await showHelpLegacy(message);
-        } else {
-            // Send "processing" message for complex operations
-            const processingMsg = await message.reply('🔄 Processing your request and validating cards...');
-            
-            const result = await handleMultipleOperations(args, userId, username, data);
-            
-            if (result.hasChanges) {
-                await updatePinnedMessage(message.channel, data);
+            await interaction.reply({ content: result.success ? result.message : `❌ ${targetName}'s wants list is already empty.`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'restore') {
+            const archive = data.archivedLists.get(targetUser.id);
+            if (!archive) {
+                await interaction.reply({ content: `❌ There are no archived lists for ${targetName}.`, ephemeral: true });
+                return;
             }
-            
-            await processingMsg.edit(result.message);
+
+            if (archive.wants) data.userWants.set(targetUser.id, archive.wants);
+            if (archive.haves) data.userHaves.set(targetUser.id, archive.haves);
+            data.archivedLists.delete(targetUser.id);
+            logModAction(data, moderator, 'restore', targetUser.id, archive.username);
+            await updatePinnedMessage(interaction.channel, data);
+            await interaction.reply({ content: `✅ Restored ${archive.username}'s archived lists.`, ephemeral: true });
         }
     } catch (error) {
-        console.error('Error handling legacy command:', error);
-        await message.reply('❌ An error occurred while processing your command.');
+        console.error('Error handling moderator command:', error);
+
+        if (interaction.deferred) {
+            await interaction.editReply({ content: '❌ An error occurred while processing your command.' });
+        } else if (!interaction.replied) {
+            await interaction.reply({ content: '❌ An error occurred while processing your command.', ephemeral: true });
+        }
     }
-});
+}
 
-async function handleMultipleOperations(input, userId, username, data) {
-    const operations = parseMultipleOperations(input);
-    
-    if (operations.length === 0) {
-        return {
-            hasChanges: false,
-            message: '❌ Invalid syntax! Use `/wants + [number] [card name]` to add, `/wants - [number] [card name]` to remove, or combine them like `/wants +1 Lightning Bolt (M25, foil) -2 Opt`'
-        };
+// Archive, remove or ask about the lists of a member who left
+async function handleMemberRemove(member) {
+    const data = serverData.get(member.guild.id);
+    if (!data) return;
+    if (!data.userWants.has(member.id) && !data.userHaves.has(member.id)) return;
+
+    const mode = data.config.departedMembers;
+    if (mode === 'keep') return;
+
+    if (mode === 'archive' || mode === 'remove') {
+        const { username, specCount } = archiveOrRemoveLists(member.id, data, mode === 'archive', null);
+        console.log(`${mode === 'archive' ? 'Archived' : 'Removed'} ${specCount} card specifications of departed member ${username}`);
+        await refreshBoard(data);
+        return;
     }
 
-    const results = [];
-    const errors = [];
-    let hasChanges = false;
+    // Ask moderators in the board channel
+    const boardChannelId = data.config.boardChannelId || data.channelId;
+    if (!boardChannelId) return;
+
+    try {
+        const channel = await client.channels.fetch(boardChannelId);
+        const username = (data.userWants.get(member.id) || data.userHaves.get(member.id)).username;
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`departed:archive:${member.id}`).setLabel('Archive').setStyle(ButtonStyle.Primary),
+            new ButtonBuilder().setCustomId(`departed:remove:${member.id}`).setLabel('Remove').setStyle(ButtonStyle.Danger),
+            new ButtonBuilder().setCustomId(`departed:keep:${member.id}`).setLabel('Keep').setStyle(ButtonStyle.Secondary)
+        );
+
+        await channel.send({
+            content: `👋 **${username}** left the server. What should happen to their wants and haves? (moderators only)`,
+            components: [row]
+        });
+    } catch (error) {
+        console.error('Could not ask about departed member:', error.message);
+    }
+}
 
-    // Initialize user's wants if not exists
-    if (!data.userWants.has(userId)) {
-        data.userWants.set(userId, { username, cards: new Map() });
+async function handleDepartedButton(interaction) {
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageMessages)) {
+        await interaction.reply({ content: '❌ Only moderators can decide what happens to these lists.', ephemeral: true });
+        return;
     }
 
-    const userData = data.userWants.get(userId);
-    userData.username = username;
+    const [, action, userId] = interaction.customId.split(':');
+    const data = serverData.get(interaction.guild.id);
+    const moderatorName = interaction.member ? interaction.member.displayName : interaction.user.username;
 
-    for (const op of operations) {
-        try {
-            console.log(`Processing operation: ${op.operation}${op.quantity} ${op.cardName} ${op.setCode ? `(${op.setCode})` : ''} ${op.foil ? '(foil)' : ''}`);
-            
-            if (op.operation === '+') {
-                const result = await handleAddCardOperation(op, userData, data, userId);
-                if (result.success) {
-                    results.push(result.message);
-                    hasChanges = true;
-                } else {
-                    errors.push(result.message);
-                }
-            } else if (op.operation === '-') {
-                const result = await handleRemoveCardOperation(op, userData, data, userId);
-                if (result.success) {
-                    results.push(result.message);
-                    hasChanges = true;
-                } else {
-                    errors.push(result.message);
-                }
-            }
-        } catch (error) {
-            console.error(`Error processing ${op.operation}${op.quantity} ${op.cardName}:`, error);
-            errors.push(`❌ Error processing ${op.operation}${op.quantity} ${op.cardName}: ${error.message}`);
-        }
+    if (!data || (!data.userWants.has(userId) && !data.userHaves.has(userId))) {
+        await interaction.update({ content: `${interaction.message.content}\n*Nothing left to do — the lists are already gone.*`, components: [] });
+        return;
     }
 
-    // Clean up empty user entries
-    if (userData.cards.size === 0) {
-        data.userWants.delete(userId);
+    if (action === 'keep') {
+        const username = (data.userWants.get(userId) || data.userHaves.get(userId)).username;
+        logModAction(data, interaction.member || interaction.user, 'keep', userId, username, 'departed member');
+        await interaction.update({ content: `${interaction.message.content}\n✅ ${moderatorName} kept the lists.`, components: [] });
+        return;
     }
 
-    let message = '';
-    if (results.length > 0) {
-        message += results.join('\n');
+    const { specCount } = archiveOrRemoveLists(userId, data, action === 'archive', interaction.member || interaction.user);
+    await interaction.update({
+        content: `${interaction.message.content}\n✅ ${moderatorName} ${action === 'archive' ? 'archived' : 'removed'} ${specCount} card specifications.`,
+        components: []
+    });
+    await refreshBoard(data);
+}
+
+// Check the server's role allow-list (admins can always use the bot)
+function canUseBot(member, config) {
+    if (config.allowedRoleIds.length === 0) return true;
+    if (!member) return false;
+    if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+    return member.roles.cache.some(role => config.allowedRoleIds.includes(role.id));
+}
+
+function formatConfig(config, data) {
+    const boardChannel = config.boardChannelId || data.channelId;
+    return [
+        `**Board channel:** ${boardChannel ? `<#${boardChannel}>` : 'where the first command is used'}${config.boardChannelId ? '' : ' (not configured)'}`,
+        `**Limits:** ${config.maxSpecs} card specifications ${config.limitScope === 'list' ? 'per wants list' : 'per user'}, ${config.maxCopies} copies each`,
+        `**Text commands:** ${config.legacyEnabled ? `on, prefix \`${config.prefix}\`` : 'off'}`,
+        `**Allowed roles:** ${config.allowedRoleIds.length > 0 ? config.allowedRoleIds.map(id => `<@&${id}>`).join(', ') : 'everyone'}`,
+        `**Departed members:** ${config.departedMembers}`,
+        `**Board layout:** ${BOARD_MODES[config.boardMode]}`,
+        `**Old wants:** ${config.staleAfterDays ? `ask after ${config.staleAfterDays} days, remove after ${config.staleGraceDays} more without an answer` : 'no reminders'}`,
+        `**Reprint notices:** ${config.reprintNotices ? 'on' : 'off'}`
+    ].join('\n');
+}
+
+// Cache statistics are shared by every server the bot is in
+function formatCacheStats(caches) {
+    const lines = caches.map(cache => {
+        const stats = cache.getStats();
+        return `**${stats.name} cache:** ${stats.size}/${stats.maxSize} entries, ` +
+            `${stats.hits} hits (${stats.negativeHits} not found), ${stats.misses} misses, ` +
+            `${(stats.hitRate * 100).toFixed(1)}% hit rate, ${stats.evictions} evicted`;
+    });
+    return `**Cache statistics** (shared by all servers, entries expire after ${Math.round(CACHE_DURATION / 3600000)}h)\n${lines.join('\n')}`;
+}
+
+// Admin-only /wants-config command
+async function handleConfigCommand(interaction) {
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+        await interaction.reply({ content: '❌ You need the Manage Server permission to change bot settings.', ephemeral: true });
+        return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const data = getGuildData(interaction.guild.id, interaction.channel.id);
+    const config = data.config;
+
+    try {
+        if (subcommand === 'show') {
+            await interaction.reply({ content: formatConfig(config, data), ephemeral: true, allowedMentions: { parse: [] } });
+            return;
+        }
+
+        if (subcommand === 'channel') {
+            const channel = interaction.options.getChannel('channel');
+            await interaction.deferReply({ ephemeral: true });
+
+            // Remove the board from the old channel before posting it in the new one
+            if (data.channelId && data.channelId !== channel.id) {
+                try {
+                    const oldChannel = await client.channels.fetch(data.channelId);
+                    for (const messageId of data.boardMessageIds) {
+                        const oldMessage = await fetchBoardMessage(oldChannel, messageId);
+                        if (oldMessage) await oldMessage.delete();
+                    }
+                } catch (error) {
+                    console.log('Could not remove the old board:', error.message);
+                }
+                data.boardMessageIds = [];
+            }
+
+            config.boardChannelId = channel.id;
+            data.channelId = channel.id;
+            await updatePinnedMessage(channel, data);
+            await interaction.editReply({ content: `✅ The wants board now lives in <#${channel.id}>.` });
+            return;
+        }
+
+        if (subcommand === 'limits') {
+            const specs = interaction.options.getInteger('specs');
+            const copies = interaction.options.getInteger('copies');
+            const scope = interaction.options.getString('scope');
+            if (specs) config.maxSpecs = specs;
+            if (copies) config.maxCopies = copies;
+            if (scope) config.limitScope = scope;
+            saveServerData();
+            await interaction.reply({ content: `✅ Users can now want up to ${config.maxSpecs} card specifications ${config.limitScope === 'list' ? 'in each of their lists' : 'across all their lists'}, ${config.maxCopies} copies each. Existing lists are not trimmed.`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'legacy') {
+            config.legacyEnabled = interaction.options.getBoolean('enabled');
+            const prefix = interaction.options.getString('prefix');
+            if (prefix && prefix.trim()) {
+                config.prefix = prefix.trim();
+            }
+            saveServerData();
+            await interaction.reply({ content: config.legacyEnabled ? `✅ Text commands are on with the prefix \`${config.prefix}\`.` : '✅ Text commands are off.', ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'cache') {
+            await interaction.reply({ content: formatCacheStats([cardCache, setCache]), ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'departed') {
+            config.departedMembers = interaction.options.getString('mode');
+            saveServerData();
+            await interaction.reply({ content: `✅ Lists of members who leave will be handled with mode \`${config.departedMembers}\`.`, ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'stale') {
+            const days = interaction.options.getInteger('days');
+            const grace = interaction.options.getInteger('grace');
+            if (days !== null) config.staleAfterDays = days;
+            if (grace !== null) config.staleGraceDays = grace;
+            saveServerData();
+            await interaction.reply({
+                content: config.staleAfterDays
+                    ? `✅ Members will be asked about wants unchanged for ${config.staleAfterDays} days, and unanswered wants are removed after ${config.staleGraceDays} more.`
+                    : '✅ Reminders about old wants are off.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'reprints') {
+            config.reprintNotices = interaction.options.getBoolean('enabled');
+            saveServerData();
+            await interaction.reply({
+                content: config.reprintNotices
+                    ? '✅ Members will be told when a new set reprints a card they want in any printing.'
+                    : '✅ Reprint notices are off.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (subcommand === 'board') {
+            config.boardMode = interaction.options.getString('mode');
+            await interaction.deferReply({ ephemeral: true });
+            await updatePinnedMessage(interaction.channel, data);
+            await interaction.editReply({ content: `✅ The wants board is now laid out ${BOARD_MODES[config.boardMode]}.` });
+            return;
+        }
+
+        if (subcommand === 'roles') {
+            const action = interaction.options.getString('action');
+            const role = interaction.options.getRole('role');
+
+            if (action === 'clear') {
+                config.allowedRoleIds = [];
+            } else if (!role) {
+                await interaction.reply({ content: '❌ Choose a role to add or remove.', ephemeral: true });
+                return;
+            } else if (action === 'add' && !config.allowedRoleIds.includes(role.id)) {
+                config.allowedRoleIds.push(role.id);
+            } else if (action === 'remove') {
+                config.allowedRoleIds = config.allowedRoleIds.filter(id => id !== role.id);
+            }
+
+            saveServerData();
+            await interaction.reply({
+                content: config.allowedRoleIds.length > 0
+                    ? `✅ Only these roles (and server managers) can use the bot: ${config.allowedRoleIds.map(id => `<@&${id}>`).join(', ')}`
+                    : '✅ Everyone can use the bot.',
+                ephemeral: true,
+                allowedMentions: { parse: [] }
+            });
+        }
+    } catch (error) {
+        console.error('Error handling config command:', error);
+
+        if (interaction.deferred) {
+            await interaction.editReply({ content: '❌ An error occurred while saving the settings.' });
+        } else if (!interaction.replied) {
+            await interaction.reply({ content: '❌ An error occurred while saving the settings.', ephemeral: true });
+        }
+    }
+}
+
+// Suggest card names from Scryfall and set names from the set cache
+async function handleAutocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const query = focused.value.trim().toLowerCase();
+
+    try {
+        if (focused.name === 'list' || (focused.name === 'name' && interaction.options.getSubcommand(false) === 'lists')) {
+            // The user's own named lists
+            const data = getGuildData(interaction.guild.id, interaction.channel.id);
+            const userData = data.userWants.get(interaction.user.id);
+            const names = (focused.name === 'list' ? [MAIN_LIST] : []).concat(userData ? userData.lists : []);
+            return await interaction.respond(names
+                .filter(name => name.includes(query.replace(/^@/, '')))
+                .slice(0, 25)
+                .map(name => ({ name, value: name })));
+        }
+
+        if (focused.name === 'card' && ['priority', 'reorder'].includes(interaction.options.getSubcommand(false))) {
+            // These subcommands work on the user's own wants
+            const data = getGuildData(interaction.guild.id, interaction.channel.id);
+            const userData = data.userWants.get(interaction.user.id);
+            const choices = [];
+
+            const wants = userData ? Array.from(userData.cards.entries()) : [];
+            wants.forEach(([cardKey, entry], index) => {
+                const keyInfo = parseCardKey(cardKey);
+                const display = `${formatCardDisplay(keyInfo)}${keyInfo.list ? ` @${keyInfo.list}` : ''}`;
+                if (query && !display.toLowerCase().includes(query)) return;
+
+                const level = PRIORITY_LEVELS[entry.priority || DEFAULT_PRIORITY];
+                choices.push({ name: `${index + 1}. ${display} [${level.label}]`.substring(0, 100), value: cardKey.substring(0, 100) });
+            });
+
+            return await interaction.respond(choices.slice(0, 25));
+        }
+
+        if (focused.name === 'card') {
+            // Scryfall needs at least two characters to autocomplete
+            if (query.length < 2) {
+                return await interaction.respond([]);
+            }
+
+            const response = await makeApiRequest(`/cards/autocomplete?q=${encodeURIComponent(query)}`);
+            const names = (response.data || []).slice(0, 25);
+            return await interaction.respond(names.map(name => ({ name, value: name })));
+        }
+
+        if (focused.name === 'set') {
+            const seen = new Set();
+            const choices = [];
+
+            for (const cached of setCache.values()) {
+                if (!cached.setCode || seen.has(cached.setCode)) continue;
+                if (query && !cached.setCode.toLowerCase().startsWith(query) && !cached.setName.toLowerCase().includes(query)) continue;
+
+                seen.add(cached.setCode);
+                choices.push({ name: `${cached.setName} (${cached.setCode.toUpperCase()})`.substring(0, 100), value: cached.setCode });
+            }
+
+            // Exact code matches first, then alphabetical
+            choices.sort((a, b) => (b.value === query) - (a.value === query) || a.name.localeCompare(b.name));
+            return await interaction.respond(choices.slice(0, 25));
+        }
+
+        await interaction.respond([]);
+    } catch (error) {
+        console.error('Autocomplete failed:', error.message);
+        try {
+            await interaction.respond([]);
+        } catch (respondError) {
+            // The interaction may already have expired
+        }
+    }
+}
+
+// Members leaving the server
+client.on('guildMemberRemove', async (member) => {
+    try {
+        await handleMemberRemove(member);
+    } catch (error) {
+        console.error('Error handling departed member:', error);
+    }
+});
+
+// Legacy message command support (for backward compatibility)
+client.on('messageCreate', async (message) => {
+    if (message.author.bot || !message.guild) return;
+
+    // Read settings without creating data for servers that never used the bot
+    const guildId = message.guild.id;
+    const config = serverData.has(guildId) ? serverData.get(guildId).config : DEFAULT_CONFIG;
+    if (!config.legacyEnabled) return;
+    if (!message.content.startsWith(config.prefix)) return;
+
+    const args = message.content.slice(config.prefix.length).trim();
+    const userId = message.author.id;
+    const username = message.author.displayName || message.author.username;
+
+    if (!canUseBot(message.member, config)) {
+        await message.reply('❌ You don\'t have a role that is allowed to use this bot.');
+        return;
+    }
+
+    const data = getGuildData(guildId, message.channel.id);
+
+    try {
+        if (/^clear(?:\s+@?\S+)?$/i.test(args)) {
+            const result = createClearConfirmation(userId, data, 'wants', normalizeListName(args.slice(5)));
+            await message.reply({ content: result.message, components: result.components || [] });
+        } else if (/^lists\b/i.test(args)) {
+            const [action, name, newName] = args.slice(5).trim().split(/\s+/);
+            const result = handleListsCommand((action || '').toLowerCase(), name, newName, userId, username, data);
+            if (result.success && ['rename', 'delete'].includes((action || '').toLowerCase())) {
+                await updatePinnedMessage(message.channel, data);
+            }
+            await message.reply(result.message);
+        } else if (args.toLowerCase() === 'undo') {
+            const result = handleUndo(userId, username, data);
+            if (result.success) {
+                await updatePinnedMessage(message.channel, data);
+            }
+            await message.reply(result.message);
+        } else if (args.toLowerCase() === 'history') {
+            const result = handleHistory(userId, data);
+            await message.reply(result.message);
+        } else if (args === '' || args.toLowerCase() === 'help') {
+            await showHelpLegacy(message);
+        } else if (/^haves\b/i.test(args)) {
+            const processingMsg = await message.reply('🔄 Processing your haves and validating cards...');
+            const result = await handleHavesCommand(args.slice(5).trim(), userId, username, data);
+            await processingMsg.edit({ content: result.message, components: result.components || [], embeds: result.embeds || [] });
+        } else if (/^import\b/i.test(args)) {
+            const processingMsg = await message.reply('🔄 Importing your decklist and validating cards...');
+            const result = await handleImportCommand(args.slice(6).trim(), message.attachments.first(), userId, username, data);
+
+            if (result.hasChanges) {
+                await updatePinnedMessage(message.channel, data);
+            }
+
+            await processingMsg.edit({ content: result.message, components: result.components || [], embeds: result.embeds || [] });
+        } else if (/^list(?:\s+@?\S+)?$/i.test(args)) {
+            const result = handleShowList(userId, data, 'wants', normalizeListName(args.slice(4)));
+            await message.reply(result.message);
+        } else if (/^export\b/i.test(args)) {
+            const exportArgs = parseExportArgs(args.slice(6).trim(), userId);
+            if (exportArgs.error) {
+                await message.reply(exportArgs.error);
+            } else {
+                const result = handleExportCommand(exportArgs.format, exportArgs.targetId, userId, data, exportArgs.listName);
+                await message.reply({ content: result.message, files: result.files });
+            }
+        } else if (args.toLowerCase() === 'matches') {
+            const result = handleShowMatches(userId, data);
+            await message.reply({ content: result.message, embeds: result.embeds });
+        } else if (/^who\b/i.test(args)) {
+            const result = await handleWhoWants(args.slice(3).trim(), data);
+            await message.reply({ content: result.message, allowedMentions: { parse: [] } });
+        } else if (/^browse\b/i.test(args)) {
+            const result = handleBrowse(args.slice(6).trim(), data);
+            await message.reply({ content: result.message || '', embeds: result.embeds || [], components: result.components || [], allowedMentions: { parse: [] } });
+        } else if (/^view\b/i.test(args)) {
+            const mention = args.slice(4).trim().match(/^<@!?(\d+)>$/);
+            const result = mention
+                ? handleViewUser(mention[1], data)
+                : { message: '❌ Mention the member whose list you want to see, like `!wants view @Alice`.' };
+            await message.reply({ content: result.message, allowedMentions: { parse: [] } });
+        } else {
+            // Send "processing" message for complex operations
+            const processingMsg = await message.reply('🔄 Processing your request and validating cards...');
+            
+            const result = await handleMultipleOperations(args, userId, username, data);
+            
+            if (result.hasChanges) {
+                await updatePinnedMessage(message.channel, data);
+            }
+            
+            await processingMsg.edit({ content: result.message, components: result.components || [], embeds: result.embeds || [] });
+        }
+    } catch (error) {
+        console.error('Error handling legacy command:', error);
+        await message.reply('❌ An error occurred while processing your command.');
+    }
+});
+
+// actorId is whoever ran the command, a moderator editing someone else's list
+async function handleMultipleOperations(input, userId, username, data, listType = 'wants', actorId = userId) {
+    const { operations, errors } = parseOperations(input, { isSetCode: isKnownSetCode });
+
+    // Nothing is changed until the whole input parses
+    if (errors.length > 0) {
+        const shown = errors.slice(0, 3).map(error => formatParseError(input, error));
+        if (errors.length > shown.length) {
+            shown.push(`…and ${errors.length - shown.length} more error(s)`);
+        }
+        return {
+            hasChanges: false,
+            message: truncateMessage(shown.join('\n'))
+        };
+    }
+
+    // Number the operations by line when a list was pasted
+    if (input.trim().includes('\n')) {
+        for (const op of operations) {
+            op.lineNumber = op.line;
+        }
+    }
+
+    if (operations.length === 0) {
+        const command = listType === 'haves' ? '/wants haves' : '/wants bulk';
+        return {
+            hasChanges: false,
+            message: `❌ Invalid syntax! Use \`${command} + [number] [card name]\` to add, \`${command} - [number] [card name]\` to remove, or combine them like \`${command} +1 Lightning Bolt (M25, foil) -2 Opt\``
+        };
+    }
+
+    const result = await applyOperations(operations, userId, username, data, listType, actorId);
+
+    return {
+        hasChanges: result.hasChanges,
+        message: formatOperationMessage(result.results, result.errors) || '❌ No valid operations found.',
+        components: createChoiceRows(result.choices, userId, username, data, actorId),
+        embeds: createAddedCardEmbeds(result.cards)
+    };
+}
+
+// Run parsed add/remove operations against one of a user's lists
+async function applyOperations(operations, userId, username, data, listType = 'wants', actorId = userId) {
+    const results = [];
+    const errors = [];
+    const choices = [];
+    const cards = [];
+    let hasChanges = false;
+
+    // Initialize user's list if not exists
+    const userLists = data[LIST_TYPES[listType].dataKey];
+    if (!userLists.has(userId)) {
+        userLists.set(userId, { username, lists: [], cards: new Map() });
+    }
+
+    const userData = userLists.get(userId);
+    userData.username = username;
+
+    // Everything from one command is undone together
+    const batch = nextChangeBatch(data, userId);
+
+    for (const op of operations) {
+        // Imported operations remember which line of the decklist they came from
+        const linePrefix = op.lineNumber ? `Line ${op.lineNumber}: ` : '';
+
+        try {
+            console.log(`Processing operation: ${op.operation}${op.quantity} ${formatCardDisplay(op)}`);
+            
+            if (op.operation === '+') {
+                const result = await handleAddCardOperation(op, userData, data, userId, listType, batch);
+                if (result.success) {
+                    results.push(linePrefix + result.message);
+                    cards.push(result.card);
+                    hasChanges = true;
+                } else {
+                    errors.push(linePrefix + result.message);
+                    if (result.choice) {
+                        choices.push({ ...result.choice, listType });
+                    }
+                }
+            } else if (op.operation === '-') {
+                const result = await handleRemoveCardOperation(op, userData, data, userId, listType, batch);
+                if (result.success) {
+                    results.push(linePrefix + result.message);
+                    hasChanges = true;
+                } else {
+                    errors.push(linePrefix + result.message);
+                }
+            }
+        } catch (error) {
+            console.error(`Error processing ${op.operation}${op.quantity} ${op.cardName}:`, error);
+            errors.push(`${linePrefix}❌ Error processing ${op.operation}${op.quantity} ${op.cardName}: ${error.message}`);
+        }
+    }
+
+    // Clean up empty user entries
+    if (isUserDataEmpty(userData)) {
+        userLists.delete(userId);
+    }
+
+    if (hasChanges) {
+        markModeratorBatch(data, userId, batch, actorId);
+        saveServerData();
+    }
+
+    return {
+        hasChanges,
+        results,
+        errors,
+        choices,
+        cards
+    };
+}
+
+// One compact embed per added card showing the printing that was matched, so wrong matches stand out
+function createAddedCardEmbeds(cards, limit = MESSAGE_EMBED_LIMIT) {
+    const embeds = cards.slice(0, limit).map(card => {
+        const printing = card.collectorNumber ? `${card.setName} #${card.collectorNumber}` : card.setName;
+        const embed = new EmbedBuilder()
+            .setColor(card.finish && card.finish !== 'nonfoil' ? 0xD4AF37 : 0x7289DA)
+            .setTitle(`${card.quantity}x ${card.display}`.substring(0, 256))
+            .setDescription([
+                [card.manaCost, card.typeLine].filter(Boolean).join(' · '),
+                `${card.anySet ? 'Any printing, e.g. ' : ''}${printing}${card.finish ? ` · ${card.finish}` : ''}`
+            ].filter(Boolean).join('\n'));
+
+        if (card.scryfallUri) {
+            embed.setURL(card.scryfallUri);
+        }
+        const image = card.imageUris && (card.imageUris.normal || card.imageUris.small);
+        if (image) {
+            embed.setThumbnail(image);
+        }
+        return embed;
+    });
+
+    if (cards.length > embeds.length && embeds.length > 0) {
+        embeds[embeds.length - 1].setFooter({ text: `…and ${cards.length - embeds.length} more card(s)` });
+    }
+    return embeds;
+}
+
+// Combine operation results into a reply that fits in one Discord message
+function formatOperationMessage(results, errors, header = '') {
+    let message = header;
+    if (results.length > 0) {
+        if (message) message += '\n\n';
+        message += results.join('\n');
+    }
+    if (errors.length > 0) {
+        if (message) message += '\n\n';
+        message += errors.join('\n');
+    }
+
+    return truncateMessage(message);
+}
+
+function truncateMessage(message, maxLength = 2000) {
+    if (message.length <= maxLength) {
+        return message;
+    }
+
+    const suffix = '\n*...message truncated*';
+    const cut = message.lastIndexOf('\n', maxLength - suffix.length);
+    return message.substring(0, cut > 0 ? cut : maxLength - suffix.length) + suffix;
+}
+
+// Section headers used by Arena, MTGO and Moxfield exports
+const DECKLIST_MAIN_SECTIONS = ['deck', 'main', 'mainboard', 'main deck', 'commander', 'companion'];
+const DECKLIST_SIDEBOARD_SECTIONS = ['sideboard', 'side', 'maybeboard', 'considering'];
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Parse an MTGO .dek file (<Cards Quantity="4" Sideboard="false" Name="Lightning Bolt" />)
+function parseDekXml(text, includeSideboard) {
+    const operations = [];
+    const errors = [];
+    let skippedSideboard = 0;
+
+    const lines = text.split(/\r?\n/);
+    lines.forEach((line, index) => {
+        const cardMatch = line.match(/<Cards\s+([^>]*?)\/?>/i);
+        if (!cardMatch) return;
+
+        const attributes = {};
+        for (const attr of cardMatch[1].matchAll(/(\w+)="([^"]*)"/g)) {
+            attributes[attr[1].toLowerCase()] = decodeXmlEntities(attr[2]);
+        }
+
+        const quantity = parseInt(attributes.quantity);
+        if (!attributes.name || isNaN(quantity)) {
+            errors.push(`Line ${index + 1}: ❌ Could not read card entry`);
+            return;
+        }
+
+        if (attributes.sideboard === 'true' && !includeSideboard) {
+            skippedSideboard++;
+            return;
+        }
+
+        operations.push({
+            operation: '+',
+            quantity,
+            cardName: attributes.name,
+            setCode: null,
+            collectorNumber: null,
+            finish: null,
+            flags: [],
+            condition: null,
+            language: null,
+            lineNumber: index + 1
+        });
+    });
+
+    return { operations, errors, skippedSideboard };
+}
+
+// Parse one decklist line like "4 Lightning Bolt (M25) 141 *F*" or "4x Lightning Bolt"
+function parseDecklistLine(line) {
+    const quantityMatch = line.match(/^(\d+)x?\s+(.+)$/i);
+    const quantity = quantityMatch ? parseInt(quantityMatch[1]) : 1;
+    let rest = (quantityMatch ? quantityMatch[2] : line).trim();
+
+    // Moxfield foil/etched markers
+    let finish = null;
+    const finishMatch = rest.match(/\s+\*([FE])\*\s*$/i);
+    if (finishMatch) {
+        finish = finishMatch[1].toUpperCase() === 'E' ? 'etched' : 'foil';
+        rest = rest.substring(0, finishMatch.index).trim();
+    }
+
+    // Arena/Moxfield printing: "Card Name (SET) 141", but not "Opt (foil)" or "Opt (ja)" unless that is a set
+    const printingMatch = rest.match(/^(.+?)\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([A-Za-z0-9★-]+))?$/);
+    const specWord = printingMatch && [...FINISHES, ...CARD_FLAGS, ...CONDITIONS, ...LANGUAGES].includes(printingMatch[2].toLowerCase());
+    if (printingMatch && (!specWord || isKnownSetCode(printingMatch[2].toLowerCase()))) {
+        return {
+            quantity,
+            cardName: printingMatch[1].trim(),
+            setCode: printingMatch[2].toLowerCase(),
+            collectorNumber: printingMatch[3] || null,
+            finish,
+            flags: [],
+            condition: null,
+            language: null
+        };
+    }
+
+    // Fall back to the bot's own "Card Name (set, foil)" syntax
+    const parsed = parseCardSpecification(rest, { isSetCode: isKnownSetCode });
+    return {
+        quantity,
+        ...parsed,
+        finish: parsed.finish || finish
+    };
+}
+
+// Parse pasted decklist text in Arena, MTGO, Moxfield or plain "4 Card Name" format
+function parseDecklist(text, includeSideboard = false) {
+    if (/<\?xml|<Deck[\s>]/i.test(text)) {
+        return parseDekXml(text, includeSideboard);
+    }
+
+    const operations = [];
+    const errors = [];
+    let skippedSideboard = 0;
+    let inSideboard = false;
+    let inAbout = false;
+    let sawSectionHeader = false;
+
+    const lines = text.split(/\r?\n/);
+    lines.forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        let line = rawLine.trim();
+
+        if (line === '') {
+            inAbout = false;
+            // Plain MTGO/Arena exports separate the sideboard with a blank line
+            if (!sawSectionHeader && operations.length > 0) {
+                inSideboard = true;
+            }
+            return;
+        }
+
+        // Section headers such as "Deck", "Sideboard", "// Sideboard" or "SIDEBOARD:"
+        const header = line.replace(/^\/\/\s*/, '').replace(/:$/, '').trim().toLowerCase();
+        if (header === 'about') {
+            inAbout = true;
+            return;
+        }
+        if (DECKLIST_MAIN_SECTIONS.includes(header)) {
+            sawSectionHeader = true;
+            inSideboard = false;
+            return;
+        }
+        if (DECKLIST_SIDEBOARD_SECTIONS.includes(header)) {
+            sawSectionHeader = true;
+            inSideboard = true;
+            return;
+        }
+
+        if (inAbout || line.startsWith('//') || line.startsWith('#')) {
+            return;
+        }
+
+        // MTGO/Cockatrice style "SB: 2 Card Name"
+        let lineIsSideboard = inSideboard;
+        const sideboardMatch = line.match(/^SB:\s*(.+)$/i);
+        if (sideboardMatch) {
+            lineIsSideboard = true;
+            line = sideboardMatch[1];
+        }
+
+        if (lineIsSideboard && !includeSideboard) {
+            skippedSideboard++;
+            return;
+        }
+
+        const parsed = parseDecklistLine(line);
+        if (!parsed.cardName) {
+            errors.push(`Line ${lineNumber}: ❌ Could not read "${line}"`);
+            return;
+        }
+
+        operations.push({
+            operation: '+',
+            ...parsed,
+            lineNumber
+        });
+    });
+
+    return { operations, errors, skippedSideboard };
+}
+
+// Download an attachment's text (used for decklist file imports)
+function downloadAttachment(url, maxBytes = 512 * 1024) {
+    return new Promise((resolve, reject) => {
+        const req = https.get(url, { timeout: 10000 }, (res) => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`Could not download attachment (HTTP ${res.statusCode})`));
+            }
+
+            // Counted in bytes, a decklist full of accented names is longer than its character count
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size > maxBytes) {
+                    req.destroy();
+                    reject(new Error('Attachment is too large'));
+                }
+            });
+            res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        });
+
+        req.on('error', (error) => {
+            reject(new Error(`Could not download attachment: ${error.message}`));
+        });
+
+        req.on('timeout', () => {
+            req.destroy();
+            reject(new Error('Attachment download timed out'));
+        });
+    });
+}
+
+async function handleImportCommand(args, attachment, userId, username, data) {
+    const includeSideboard = /(^|\s)--sideboard\b/i.test(args);
+    let text = args.replace(/(^|\s)--sideboard\b/i, ' ').trim();
+
+    if (attachment) {
+        if (!/\.(txt|dek)$/i.test(attachment.name)) {
+            return {
+                hasChanges: false,
+                message: '❌ Only `.txt` and `.dek` decklist files can be imported.'
+            };
+        }
+
+        try {
+            text = await downloadAttachment(attachment.url);
+        } catch (error) {
+            return {
+                hasChanges: false,
+                message: `❌ ${error.message}`
+            };
+        }
+    } else {
+        // Slash command options are a single line, so allow ";" as a line separator
+        text = text.replace(/;/g, '\n');
+    }
+
+    if (text.trim() === '') {
+        return {
+            hasChanges: false,
+            message: '❌ Nothing to import! Attach a `.txt`/`.dek` decklist or paste lines like `4 Lightning Bolt; 2 Opt`, and choose whether to include the sideboard.'
+        };
+    }
+
+    const decklist = parseDecklist(text, includeSideboard);
+    if (decklist.operations.length === 0) {
+        return {
+            hasChanges: false,
+            message: formatOperationMessage([], decklist.errors, '❌ No cards found in the decklist.')
+        };
+    }
+
+    const result = await applyOperations(decklist.operations, userId, username, data);
+    const errors = decklist.errors.concat(result.errors);
+
+    let header = `📥 Imported ${result.results.length} of ${decklist.operations.length} decklist lines.`;
+    if (decklist.skippedSideboard > 0) {
+        header += ` Skipped ${decklist.skippedSideboard} sideboard lines (import with the sideboard option to include them).`;
+    }
+
+    return {
+        hasChanges: result.hasChanges,
+        message: formatOperationMessage(result.results, errors, header),
+        components: createChoiceRows(result.choices, userId, username, data),
+        embeds: createAddedCardEmbeds(result.cards)
+    };
+}
+
+// Export formats and the file extension each one uses
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv' },
+    arena: { extension: 'txt' },
+    mtgo: { extension: 'txt' },
+    moxfield: { extension: 'txt' },
+    tcgplayer: { extension: 'txt' },
+    text: { extension: 'txt' }
+};
+
+function escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Older wants can hold a set name instead of a code; other tools only understand codes, so
+// a set that can't be resolved is left out. Without the offline index anything code-shaped is kept.
+function getExportSetCode(setIdentifier) {
+    if (!setIdentifier) return null;
+    const code = toSetCode(setIdentifier);
+    const valid = isKnownSetCode(code) || (!cardIndex.isLoaded() && /^[a-z0-9]{3,6}$/.test(code));
+    return valid ? code.toUpperCase() : null;
+}
+
+function formatExportLine(format, quantity, keyInfo) {
+    const setCode = getExportSetCode(keyInfo.setCode);
+    const printing = setCode ? ` (${setCode})${keyInfo.collectorNumber ? ` ${keyInfo.collectorNumber}` : ''}` : '';
+    const finishMarker = { foil: ' *F*', etched: ' *E*' }[keyInfo.finish] || '';
+
+    switch (format) {
+        case 'arena':
+            return `${quantity} ${keyInfo.cardName}${printing}`;
+        case 'mtgo':
+            return `${quantity} ${keyInfo.cardName}`;
+        case 'moxfield':
+            return `${quantity} ${keyInfo.cardName}${printing}${finishMarker}`;
+        case 'tcgplayer':
+            return `${quantity} ${keyInfo.cardName}${setCode ? ` [${setCode}]` : ''}`;
+        default: {
+            // The syntax the parser reads back: "(SLD, #123, foil)", and quotes around a name that ends in ")"
+            const name = keyInfo.cardName.endsWith(')') ? `"${keyInfo.cardName}"` : keyInfo.cardName;
+            const details = [
+                setCode || keyInfo.setCode,
+                keyInfo.collectorNumber ? `#${keyInfo.collectorNumber}` : null,
+                formatSpecDetails({ ...keyInfo, setCode: null, collectorNumber: null })
+            ].filter(Boolean);
+            return `${quantity}x ${name}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+        }
+    }
+}
+
+// The wants that go into an export: CSV has a list column and holds every list unless one is
+// asked for, the other formats are single decklists and hold one list, the main one by default
+function getExportEntries(format, userData, listName = null) {
+    const list = listName || (format === 'csv' ? null : MAIN_LIST);
+    return Array.from(userData.cards.entries())
+        .filter(([cardKey]) => !list || (parseCardKey(cardKey).list || MAIN_LIST) === list);
+}
+
+// Build export file contents from stored card keys
+function buildExport(format, users, listName = null) {
+    if (format === 'csv') {
+        const includeUser = users.length > 1;
+        const rows = [(includeUser ? ['User'] : []).concat(['Card', 'Set', 'Collector Number', 'Finish', 'Flags', 'Condition', 'Language', 'List', 'Quantity']).join(',')];
+
+        for (const userData of users) {
+            for (const [cardKey, entry] of getExportEntries(format, userData, listName)) {
+                const keyInfo = parseCardKey(cardKey);
+                const row = [keyInfo.cardName, getExportSetCode(keyInfo.setCode) || '', keyInfo.collectorNumber || '', keyInfo.finish || '', keyInfo.flags.join(' '), keyInfo.condition ? keyInfo.condition.toUpperCase() : '', keyInfo.language || '', keyInfo.list || MAIN_LIST, entry.quantity];
+                rows.push((includeUser ? [userData.username] : []).concat(row).map(escapeCsv).join(','));
+            }
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    if (format === 'text') {
+        // Plain text keeps each user's list separate and can be re-imported
+        const sections = users.map(userData => {
+            const lines = getExportEntries(format, userData, listName)
+                .map(([cardKey, entry]) => formatExportLine(format, entry.quantity, parseCardKey(cardKey)))
+                .sort();
+            return (users.length > 1 ? `# ${userData.username}\n` : '') + lines.join('\n');
+        });
+
+        return sections.join('\n\n') + '\n';
+    }
+
+    // Deck formats combine everyone's quantities for the same card specification
+    const totals = new Map();
+    for (const userData of users) {
+        for (const [cardKey, entry] of getExportEntries(format, userData, listName)) {
+            totals.set(cardKey, (totals.get(cardKey) || 0) + entry.quantity);
+        }
+    }
+
+    const lines = Array.from(totals.entries())
+        .map(([cardKey, quantity]) => formatExportLine(format, quantity, parseCardKey(cardKey)))
+        .sort((a, b) => a.replace(/^\d+\s+/, '').localeCompare(b.replace(/^\d+\s+/, '')));
+
+    return (format === 'arena' ? 'Deck\n' : '') + lines.join('\n') + '\n';
+}
+
+// Parse "!wants export [format] [@user|all]"
+function parseExportArgs(args, userId) {
+    const formatNames = Object.keys(EXPORT_FORMATS);
+    let format = 'csv';
+    let targetId = userId;
+    let listName = null;
+
+    for (const part of args.split(/\s+/).filter(Boolean)) {
+        const mention = part.match(/^<@!?(\d+)>$/);
+        if (mention) {
+            targetId = mention[1];
+        } else if (/^@\S+$/.test(part)) {
+            listName = normalizeListName(part);
+        } else if (part.toLowerCase() === 'all') {
+            targetId = null;
+        } else if (formatNames.includes(part.toLowerCase())) {
+            format = part.toLowerCase();
+        } else {
+            return {
+                error: `❌ Unknown export option "${part}". Use \`!wants export [${formatNames.join('|')}] [@user|all] [@list]\`.`
+            };
+        }
+    }
+
+    return { format, targetId, listName };
+}
+
+// Export one user's wants (or everyone's when targetId is null), optionally only one list
+function handleExportCommand(format, targetId, userId, data, listName = null) {
+    let users;
+    let fileLabel;
+    if (targetId) {
+        const userData = data.userWants.get(targetId);
+        if (!userData || userData.cards.size === 0) {
+            return {
+                message: targetId === userId ? '❌ Your wants list is empty.' : '❌ That user has no wants.',
+                files: []
+            };
+        }
+        users = [userData];
+        fileLabel = userData.username;
+    } else {
+        users = Array.from(data.userWants.values())
+            .filter(userData => userData.cards.size > 0)
+            .sort((a, b) => a.username.localeCompare(b.username));
+        if (users.length === 0) {
+            return {
+                message: '❌ Nobody on this server has any wants yet.',
+                files: []
+            };
+        }
+        fileLabel = 'all';
+    }
+
+    users = users.filter(userData => getExportEntries(format, userData, listName).length > 0);
+    if (users.length === 0) {
+        return {
+            message: `❌ There is nothing on the **${listName || MAIN_LIST}** list to export.`,
+            files: []
+        };
+    }
+
+    const content = buildExport(format, users, listName);
+    const safeLabel = (listName ? `${fileLabel}-${listName}` : fileLabel).replace(/[^a-z0-9_-]+/gi, '_');
+    const attachment = new AttachmentBuilder(Buffer.from(content, 'utf8'), {
+        name: `wants-${safeLabel}-${format}.${EXPORT_FORMATS[format].extension}`
+    });
+
+    const specCount = users.reduce((sum, userData) => sum + getExportEntries(format, userData, listName).length, 0);
+    const exportedList = listName || (format === 'csv' ? null : MAIN_LIST);
+    return {
+        message: `📤 Exported ${specCount} card specifications from ${targetId ? `${fileLabel}'s wants` : 'all wants'}${exportedList ? ` (${exportedList} list)` : ''} as ${format}.`,
+        files: [attachment]
+    };
+}
+
+// The code for a stored set, from the offline index or the set cache. Older versions stored
+// whatever was typed, e.g. "masters 25"; anything that can't be resolved is returned lowercased.
+function toSetCode(setIdentifier) {
+    const lower = setIdentifier.toLowerCase();
+    let indexed = null;
+    try {
+        indexed = cardIndex.isLoaded() ? cardIndex.findSet(lower) : null;
+    } catch (error) {
+        // An ambiguous set name stays as it is
+    }
+    if (indexed) return indexed.code.toLowerCase();
+
+    const cached = setCache.peek(lower);
+    return cached && cached.setCode ? cached.setCode.toLowerCase() : lower;
+}
+
+// Whether a word is a set code the bot has seen, so "(HE)" can mean a set rather than Hebrew
+function isKnownSetCode(code) {
+    if (cardIndex.isLoaded()) return cardIndex.hasSet(code);
+    const cached = setCache.peek(code);
+    return Boolean(cached && cached.setCode && cached.setCode.toLowerCase() === code);
+}
+
+// Resolve a set code or name to { setName, setCode }, or null if Scryfall doesn't know it
+async function resolveSet(setIdentifier) {
+    try {
+        const setName = await searchSetByCode(setIdentifier);
+        const cached = setCache.peek(setIdentifier.toLowerCase());
+        return { setName, setCode: cached ? cached.setCode : setIdentifier };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Offer the cards an ambiguous name could mean
+async function createCardChoice(cardName, cardOp) {
+    try {
+        const response = await makeApiRequest(`/cards/search?q=${encodeURIComponent(cardName)}&unique=cards&order=name`);
+        const options = (response.data || []).slice(0, 25).map(card => ({
+            label: card.name.substring(0, 100),
+            value: card.name.substring(0, 100),
+            description: (card.type_line || '').substring(0, 100) || undefined
+        }));
+
+        if (options.length === 0) return null;
+
+        return {
+            success: false,
+            message: `❓ "${cardName}" matches several cards. Pick the one you meant below.`,
+            choice: {
+                kind: 'card',
+                placeholder: `Which card did you mean by "${cardName}"?`.substring(0, 150),
+                options,
+                operation: cardOp
+            }
+        };
+    } catch (error) {
+        console.log(`Could not search for "${cardName}" candidates:`, error.message);
+        return null;
+    }
+}
+
+// Every printing of an exact card name, from the offline index when possible
+async function getCardPrintings(exactName) {
+    const printings = cardIndex.isLoaded() ? cardIndex.getPrintings(exactName) : [];
+    if (printings.length > 0) return printings;
+
+    const query = encodeURIComponent(`!"${exactName}"`);
+    const response = await makeApiRequest(`/cards/search?q=${query}&unique=prints&order=released&include_extras=true`);
+    return response.data || [];
+}
+
+// How to tell whether a Scryfall printing has each frame/promo flag
+const CARD_FLAG_CHECKS = {
+    promo: card => Boolean(card.promo),
+    showcase: card => (card.frame_effects || []).includes('showcase'),
+    extendedart: card => (card.frame_effects || []).includes('extendedart'),
+    borderless: card => card.border_color === 'borderless',
+    retro: card => card.frame === '1997'
+};
+
+// Look up one printing by set and collector number (/cards/:set/:number)
+async function getPrintingByNumber(setCode, collectorNumber) {
+    if (cardIndex.isLoaded()) {
+        const printing = cardIndex.findPrinting(setCode, collectorNumber);
+        if (printing) return printing;
+    }
+
+    try {
+        return await makeApiRequest(`/cards/${encodeURIComponent(setCode)}/${encodeURIComponent(collectorNumber)}`);
+    } catch (error) {
+        if (error.message === 'Not found') return null;
+        throw error;
+    }
+}
+
+// Find the printing that has the requested collector number, finish and flags, or explain why none does
+async function findMatchingPrinting(exactName, setCode, { collectorNumber, finish, flags }) {
+    let candidates;
+    const setDisplay = setCode ? setCode.toUpperCase() : null;
+
+    if (collectorNumber) {
+        if (!setCode) {
+            return { error: `❌ A collector number needs a set, e.g. \`${exactName} (SLD, ${collectorNumber})\`.` };
+        }
+
+        const printing = await getPrintingByNumber(setCode, collectorNumber);
+        if (!printing) {
+            return { error: `❌ There is no card #${collectorNumber} in ${setDisplay}.` };
+        }
+        if (printing.name !== exactName && !printing.name.split(' // ').includes(exactName)) {
+            return { error: `❌ ${setDisplay} #${collectorNumber} is **${printing.name}**, not **${exactName}**.` };
+        }
+        candidates = [printing];
+    } else {
+        candidates = (await getCardPrintings(exactName)).filter(card => !setCode || card.set === setCode.toLowerCase());
+    }
+
+    const where = collectorNumber ? `${setDisplay} #${collectorNumber}` : setDisplay || 'any set';
+
+    if (finish) {
+        const available = new Set(candidates.flatMap(card => card.finishes || []));
+        candidates = candidates.filter(card => (card.finishes || []).includes(finish));
+        if (candidates.length === 0) {
+            return { error: `❌ **${exactName}** has no ${finish} printing in ${where}${available.size > 0 ? ` (available: ${Array.from(available).join(', ')})` : ''}.` };
+        }
+    }
+
+    const missingFlag = (flags || []).find(flag => !candidates.some(card => CARD_FLAG_CHECKS[flag](card)));
+    if (missingFlag) {
+        return { error: `❌ **${exactName}** has no ${missingFlag} printing in ${where}${finish ? ` with a ${finish} finish` : ''}.` };
+    }
+    candidates = candidates.filter(card => (flags || []).every(flag => CARD_FLAG_CHECKS[flag](card)));
+    if (candidates.length === 0) {
+        return { error: `❌ No printing of **${exactName}** in ${where} is ${flags.join(' and ')}${finish ? ` with a ${finish} finish` : ''}.` };
+    }
+
+    return { printing: candidates[0] };
+}
+
+// Check that Scryfall lists the printing in the wanted language (the bulk file only holds one language per printing)
+async function hasPrintingInLanguage(exactName, { setCode, collectorNumber, language }) {
+    const query = `!"${exactName}" lang:${language}${setCode ? ` set:${setCode}` : ''}${collectorNumber ? ` cn:"${collectorNumber}"` : ''}`;
+
+    try {
+        const response = await makeApiRequest(`/cards/search?q=${encodeURIComponent(query)}&unique=prints&include_multilingual=true`);
+        return (response.data || []).length > 0;
+    } catch (error) {
+        // A search without results comes back as "not found"
+        if (error.message === 'Not found') return false;
+        throw error;
+    }
+}
+
+// Offer the printings of a card when the requested set doesn't have it
+async function createPrintingChoice(exactName, cardOp, setCode) {
+    try {
+        const printings = await getCardPrintings(exactName);
+
+        // Select menu values must be unique, so keep one entry per set
+        const seen = new Set();
+        const options = [];
+        for (const card of printings) {
+            if (seen.has(card.set)) continue;
+            seen.add(card.set);
+            options.push({
+                label: `${card.set_name} (${card.set.toUpperCase()})`.substring(0, 100),
+                value: card.set,
+                description: `#${card.collector_number}${card.released_at ? ` · ${card.released_at}` : ''}`
+            });
+            if (options.length === 25) break;
+        }
+
+        if (options.length === 0) return null;
+
+        return {
+            success: false,
+            message: `❓ **${exactName}** was not found in set "${setCode}". Pick a printing below.`,
+            choice: {
+                kind: 'printing',
+                placeholder: `Which printing of ${exactName}?`.substring(0, 150),
+                options,
+                exactName,
+                operation: cardOp
+            }
+        };
+    } catch (error) {
+        console.log(`Could not search printings of "${exactName}":`, error.message);
+        return null;
+    }
+}
+
+// Store pending choices and build one select menu per choice.
+// userId owns the list, actorId is the one who may pick (a moderator editing someone's list).
+function createChoiceRows(choices, userId, username, data, actorId = userId) {
+    return (choices || []).slice(0, MAX_CHOICE_ROWS).map(choice => {
+        const token = crypto.randomUUID();
+        pendingOperations.set(token, {
+            ...choice,
+            userId,
+            username,
+            actorId,
+            data,
+            expiresAt: Date.now() + PENDING_OPERATION_TTL
+        });
+
+        return new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`pick:${token}`)
+                .setPlaceholder(choice.placeholder)
+                .addOptions(choice.options)
+        );
+    });
+}
+
+// Finish a pending operation with the card or printing the user picked
+async function handlePendingChoice(interaction) {
+    const token = interaction.customId.slice('pick:'.length);
+    const pending = pendingOperations.get(token);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+        pendingOperations.delete(token);
+        return await interaction.reply({ content: '⌛ This choice has expired. Please run the command again.', ephemeral: true });
+    }
+
+    if (interaction.user.id !== pending.actorId) {
+        return await interaction.reply({ content: '❌ Only the person who ran the command can pick.', ephemeral: true });
+    }
+
+    pendingOperations.delete(token);
+    await interaction.deferUpdate();
+
+    const operation = { ...pending.operation };
+    if (pending.kind === 'card') {
+        operation.cardName = interaction.values[0];
+    } else {
+        operation.cardName = pending.exactName;
+        operation.setCode = interaction.values[0];
+        // The collector number belonged to the set that didn't have the card
+        operation.collectorNumber = null;
+    }
+
+    const result = await applyOperations([operation], pending.userId, pending.username, pending.data, pending.listType, pending.actorId);
+
+    if (result.hasChanges && pending.listType === 'wants') {
+        await updatePinnedMessage(interaction.channel, pending.data);
+    }
+
+    // Drop the answered menu, keep any others, and add a new one if the pick needs another choice
+    const remainingRows = interaction.message.components.filter(row =>
+        !row.components.some(component => component.customId === interaction.customId)
+    );
+    const newRows = createChoiceRows(result.choices, pending.userId, pending.username, pending.data, pending.actorId);
+    const outcome = formatOperationMessage(result.results, result.errors);
+
+    await interaction.editReply({
+        content: truncateMessage(`${interaction.message.content}\n\n${outcome}`),
+        components: remainingRows.concat(newRows).slice(0, MAX_CHOICE_ROWS),
+        embeds: interaction.message.embeds.concat(createAddedCardEmbeds(result.cards)).slice(-MESSAGE_EMBED_LIMIT)
+    });
+}
+
+// Forget choices nobody answered and browse results nobody pages through any more
+function sweepPendingOperations() {
+    const now = Date.now();
+    for (const [token, pending] of pendingOperations.entries()) {
+        if (pending.expiresAt < now) {
+            pendingOperations.delete(token);
+        }
+    }
+    for (const [token, session] of browseSessions.entries()) {
+        if (session.expiresAt < now) {
+            browseSessions.delete(token);
+        }
+    }
+}
+
+async function handleAddCardOperation(cardOp, userData, data, userId, listType = 'wants', batch = null) {
+    const { cardName, setCode, collectorNumber, finish, condition, language, quantity, maxPrice } = cardOp;
+    const alertCurrency = cardOp.maxPriceCurrency || 'USD';
+    const flags = cardOp.flags || [];
+    const list = cardOp.list || null;
+    const { maxSpecs, maxCopies, limitScope } = data.config;
+    
+    if (!cardName || cardName.trim() === '') {
+        return {
+            success: false,
+            message: '❌ Card name cannot be empty.'
+        };
+    }
+
+    const listError = checkTargetList(userData, list, listType);
+    if (listError) {
+        return { success: false, message: listError };
+    }
+
+    if (isNaN(quantity) || quantity <= 0 || quantity > maxCopies) {
+        return {
+            success: false,
+            message: `❌ Quantity for "${cardName}" must be between 1 and ${maxCopies}.`
+        };
+    }
+
+    if (cardName.length > 100) {
+        return {
+            success: false,
+            message: `❌ Card name "${cardName}" is too long (max 100 characters).`
+        };
+    }
+
+    // Validate card with Scryfall API. Only a set the user asked for goes into the key, so a want
+    // without one keeps matching any printing (trade matches, reprint notices) instead of being
+    // tied to whichever printing Scryfall returns by default.
+    let cardInfo, setName = null;
+    let finalSetCode = null;
+    try {
+        console.log(`Searching for card: "${cardName}" ${setCode ? `in set "${setCode}"` : ''}`);
+        cardInfo = await searchCardOnScryfall(cardName, setCode);
+        setName = cardInfo.setName;
+        console.log(`Found exact card: "${cardInfo.exactName}" in "${setName}"`);
+        
+        // If user provided a set but we found a different one, it may be the same set given by name
+        if (setCode && setCode.toLowerCase() !== cardInfo.setCode.toLowerCase()) {
+            const resolvedSet = await resolveSet(setCode);
+            if (!resolvedSet || resolvedSet.setCode.toLowerCase() !== cardInfo.setCode.toLowerCase()) {
+                const choice = await createPrintingChoice(cardInfo.exactName, cardOp, setCode);
+                if (choice) return choice;
+                return { success: false, message: `❌ **${cardInfo.exactName}** was not found in set "${setCode}".` };
+            }
+        }
+
+        // Keys always hold the set code, also when the set was typed by name
+        if (setCode) {
+            finalSetCode = cardInfo.setCode.toLowerCase();
+        }
+    } catch (error) {
+        console.error(`Card search failed for "${cardName}":`, error.message);
+
+        // Let the user pick instead of failing outright
+        let choice = null;
+        if (error.code === 'ambiguous') {
+            choice = await createCardChoice(cardName, cardOp);
+        } else if (error.code === 'not_found_in_set') {
+            try {
+                const anyPrinting = await searchCardOnScryfall(cardName);
+                choice = await createPrintingChoice(anyPrinting.exactName, cardOp, setCode);
+            } catch (searchError) {
+                // Fall through to the original error
+            }
+        }
+
+        if (choice) return choice;
+        return {
+            success: false,
+            message: `❌ ${error.message}`
+        };
+    }
+
+    // Collector numbers, finishes and flags are checked against the actual printings
+    if (collectorNumber || finish || flags.length > 0) {
+        try {
+            const match = await findMatchingPrinting(cardInfo.exactName, finalSetCode, { collectorNumber, finish, flags });
+            if (match.error) {
+                return { success: false, message: match.error };
+            }
+
+            // Price and show the printing that was asked for rather than Scryfall's default one
+            cardInfo = {
+                ...cardInfo,
+                scryfallId: match.printing.id,
+                setName: match.printing.set_name || cardInfo.setName,
+                prices: extractPrices(match.printing),
+                ...extractCardDetails(match.printing),
+                meta: extractCardMeta(match.printing)
+            };
+        } catch (error) {
+            console.error(`Printing lookup failed for "${cardInfo.exactName}":`, error.message);
+            return {
+                success: false,
+                message: `❌ Could not check the printings of **${cardInfo.exactName}**: ${error.message}`
+            };
+        }
+    }
+
+    if (language) {
+        try {
+            if (!await hasPrintingInLanguage(cardInfo.exactName, { setCode: finalSetCode, collectorNumber, language })) {
+                const where = finalSetCode ? ` in ${finalSetCode.toUpperCase()}${collectorNumber ? ` #${collectorNumber}` : ''}` : '';
+                return {
+                    success: false,
+                    message: `❌ Scryfall lists no ${language.toUpperCase()} printing of **${cardInfo.exactName}**${where}.`
+                };
+            }
+        } catch (error) {
+            console.error(`Language check failed for "${cardInfo.exactName}":`, error.message);
+            return {
+                success: false,
+                message: `❌ Could not check the languages of **${cardInfo.exactName}**: ${error.message}`
+            };
+        }
+    }
+
+    const spec = {
+        cardName: cardInfo.exactName,
+        setCode: finalSetCode,
+        collectorNumber: finalSetCode ? collectorNumber || null : null,
+        finish: finish || null,
+        flags,
+        condition: condition || null,
+        language: language || null,
+        list
+    };
+    const cardKey = createCardKey(spec);
+    
+    // Check if user has too many different cards, in this list or overall depending on the server
+    const specCount = limitScope === 'list'
+        ? Array.from(userData.cards.keys()).filter(key => parseCardKey(key).list === list).length
+        : userData.cards.size;
+    if (!userData.cards.has(cardKey) && specCount >= maxSpecs) {
+        return {
+            success: false,
+            message: listType === 'haves'
+                ? `❌ You can only have up to ${maxSpecs} different card specifications. Use \`haves clear\` to reset your list.`
+                : `❌ You can only want up to ${maxSpecs} different card specifications${limitScope === 'list' ? ` in ${list ? `**${list}**` : 'your main list'}` : ''}. Use \`clear\` to reset your list.`
+        };
+    }
+    
+    // Add or update card quantity
+    const displayName = formatCardDisplay(spec, finalSetCode ? setName : null);
+    const isNew = !userData.cards.has(cardKey);
+    const now = Date.now();
+    const before = isNew ? null : snapshotEntry(userData.cards.get(cardKey));
+    const entry = isNew ? { quantity, createdAt: now } : userData.cards.get(cardKey);
+
+    if (!isNew) {
+        entry.quantity = Math.min(entry.quantity + quantity, maxCopies);
+    }
+    // Adding a card again counts as still wanting it
+    entry.updatedAt = now;
+    delete entry.staleNotice;
+    updateEntryPrices(entry, cardInfo);
+    userData.cards.set(cardKey, entry);
+
+    // Priorities only make sense for wants
+    let priorityNote = '';
+    if (cardOp.priority && listType === 'wants') {
+        if (cardOp.priority === DEFAULT_PRIORITY) {
+            delete entry.priority;
+        } else {
+            entry.priority = cardOp.priority;
+        }
+        priorityNote = ` Priority: ${PRIORITY_LEVELS[cardOp.priority].label.toLowerCase()}.`;
+    }
+
+    logChange(data, userId, {
+        batch,
+        action: 'add',
+        listType,
+        username: userData.username,
+        cardKey,
+        index: Array.from(userData.cards.keys()).indexOf(cardKey),
+        before,
+        after: snapshotEntry(entry)
+    });
+
+    // Price alerts only make sense for wants
+    let alertNote = '';
+    if (maxPrice !== null && maxPrice !== undefined && listType === 'wants') {
+        entry.alert = { maxPrice, currency: alertCurrency, notifiedAt: null, notifiedPrice: null };
+        alertNote = ` 🔔 Alert when the price drops to ${formatPrice(maxPrice, alertCurrency)} or less.`;
+    }
+
+    return {
+        success: true,
+        card: {
+            display: displayName,
+            quantity: entry.quantity,
+            finish: spec.finish,
+            setName: cardInfo.setName,
+            collectorNumber: cardInfo.collectorNumber,
+            imageUris: cardInfo.imageUris,
+            manaCost: cardInfo.manaCost,
+            typeLine: cardInfo.typeLine,
+            scryfallUri: cardInfo.scryfallUri,
+            anySet: !finalSetCode
+        },
+        message: isNew
+            ? `✅ Added **${quantity}x ${displayName}**${list ? ` to **${list}**` : ''}.${priorityNote}${alertNote}`
+            : `✅ Updated **${displayName}**${list ? ` in **${list}**` : ''} to ${entry.quantity} copies.${priorityNote}${alertNote}`
+    };
+}
+
+async function handleRemoveCardOperation(cardOp, userData, data, userId, listType = 'wants', batch = null) {
+    const { cardName, setCode, collectorNumber, finish, condition, language, quantity } = cardOp;
+    const flags = cardOp.flags || [];
+    const list = cardOp.list || null;
+    const listLabel = list ? `**${list}** list` : LIST_TYPES[listType].label;
+
+    const listError = checkTargetList(userData, list, listType);
+    if (listError) {
+        return { success: false, message: listError };
+    }
+    
+    if (userData.cards.size === 0) {
+        return {
+            success: false,
+            message: `❌ Your ${listLabel} is empty.`
+        };
+    }
+
+    if (isNaN(quantity) || quantity <= 0) {
+        return {
+            success: false,
+            message: `❌ Quantity for "${cardName}" must be greater than 0.`
+        };
+    }
+
+    // Keys hold set codes, so "(Throne of Eldraine)" has to be resolved to "eld" like it was when added
+    let wantedSet = null;
+    if (setCode) {
+        wantedSet = toSetCode(setCode);
+        if (!isKnownSetCode(wantedSet)) {
+            const resolved = await resolveSet(setCode);
+            if (resolved) wantedSet = resolved.setCode.toLowerCase();
+        }
+    }
+
+    // Find matching card key (case-insensitive card name matching)
+    let matchingKey = null;
+    let matchingDisplay = null;
+    
+    for (const key of userData.cards.keys()) {
+        const keyInfo = parseCardKey(key);
+        
+        // Check if card name matches (case-insensitive), in the list the operation targets
+        if (keyInfo.cardName.toLowerCase() !== cardName.toLowerCase() || keyInfo.list !== list) {
+            continue;
+        }
+        
+        // Check set code match (if specified); older keys can hold a set name
+        if (wantedSet) {
+            if (!keyInfo.setCode || toSetCode(keyInfo.setCode) !== wantedSet) {
+                continue;
+            }
+        }
+        
+        // Check collector number and flags (if specified)
+        if (collectorNumber && keyInfo.collectorNumber !== collectorNumber) {
+            continue;
+        }
+        if (!flags.every(flag => keyInfo.flags.includes(flag))) {
+            continue;
+        }
+        if ((condition && keyInfo.condition !== condition) || (language && keyInfo.language !== language)) {
+            continue;
+        }
+
+        // Check finish match
+        if (keyInfo.finish !== (finish || null)) {
+            continue;
+        }
+        
+        matchingKey = key;
+        matchingDisplay = formatCardDisplay(keyInfo);
+        break;
+    }
+
+    if (!matchingKey) {
+        const searchDisplay = formatCardDisplay(cardOp);
+        return {
+            success: false,
+            message: `❌ **${searchDisplay}** not found in your ${listLabel}.`
+        };
+    }
+
+    const entry = userData.cards.get(matchingKey);
+    const currentQty = entry.quantity;
+    const change = {
+        batch,
+        action: 'remove',
+        listType,
+        username: userData.username,
+        cardKey: matchingKey,
+        index: Array.from(userData.cards.keys()).indexOf(matchingKey),
+        before: snapshotEntry(entry)
+    };
+
+    if (quantity >= currentQty) {
+        userData.cards.delete(matchingKey);
+        logChange(data, userId, { ...change, after: null });
+        return {
+            success: true,
+            message: `✅ Removed all copies of **${matchingDisplay}**.`
+        };
+    } else {
+        entry.quantity = currentQty - quantity;
+        logChange(data, userId, { ...change, after: snapshotEntry(entry) });
+        return {
+            success: true,
+            message: `✅ Removed ${quantity}x **${matchingDisplay}**. (${currentQty - quantity} remaining)`
+        };
+    }
+}
+
+// Copy of a list entry as it was at the time of a change
+function snapshotEntry(entry) {
+    return JSON.parse(JSON.stringify(entry));
+}
+
+function nextChangeBatch(data, userId) {
+    const log = data.changeLog.get(userId) || [];
+    return log.length > 0 ? log[log.length - 1].batch + 1 : 1;
+}
+
+// Append a change to the user's log; changes of one command share a batch number
+function logChange(data, userId, change) {
+    if (!data.changeLog.has(userId)) {
+        data.changeLog.set(userId, []);
+    }
+    const log = data.changeLog.get(userId);
+    log.push({ ...change, batch: change.batch || nextChangeBatch(data, userId), at: Date.now() });
+
+    // Drop the oldest records, keeping a batch whole so an undo never restores half of one
+    if (log.length > CHANGE_LOG_LIMIT) {
+        let cut = log.length - CHANGE_LOG_LIMIT;
+        while (cut > 0 && log[cut].batch === log[cut - 1].batch) {
+            cut--;
+        }
+        log.splice(0, cut);
+    }
+}
+
+// Changes a moderator made to someone's list are logged for them but can't be undone by them
+function markModeratorBatch(data, userId, batch, actorId) {
+    if (actorId === userId) return;
+    for (const record of data.changeLog.get(userId) || []) {
+        if (record.batch === batch) {
+            record.moderatorId = actorId;
+        }
+    }
+}
+
+// Group a user's log into batches, newest first, marking the ones that were undone
+function getChangeBatches(data, userId) {
+    const batches = new Map();
+    const undone = new Set();
+
+    for (const record of data.changeLog.get(userId) || []) {
+        if (record.action === 'undo') {
+            undone.add(record.undoes);
+        }
+        if (!batches.has(record.batch)) {
+            batches.set(record.batch, { batch: record.batch, at: record.at, records: [] });
+        }
+        batches.get(record.batch).records.push(record);
+    }
+
+    return Array.from(batches.values())
+        .reverse()
+        .map(batch => ({ ...batch, undone: undone.has(batch.batch) }));
+}
+
+// Put an entry back at the position it had in the list
+function restoreEntry(userData, cardKey, entry, index) {
+    if (userData.cards.has(cardKey)) {
+        userData.cards.set(cardKey, entry);
+        return;
+    }
+
+    const entries = Array.from(userData.cards.entries());
+    entries.splice(Math.min(index, entries.length), 0, [cardKey, entry]);
+    userData.cards = new Map(entries);
+}
+
+function describeChange(record) {
+    if (record.action === 'rename') {
+        return `renamed the list ${record.from} to ${record.to}`;
+    }
+
+    const display = formatCardDisplay(parseCardKey(record.cardKey));
+    const list = record.listType === 'haves' ? ' (haves)' : '';
+
+    if (!record.before) {
+        return `added ${record.after.quantity}x ${display}${list}`;
+    }
+    if (!record.after) {
+        return `${record.action === 'clear' ? 'cleared' : 'removed'} ${record.before.quantity}x ${display}${list}`;
+    }
+    return `${display}${list}: ${record.before.quantity} → ${record.after.quantity}`;
+}
+
+// Revert the most recent batch of changes that hasn't been undone yet
+function handleUndo(userId, username, data) {
+    const batch = getChangeBatches(data, userId).find(candidate =>
+        !candidate.undone && candidate.records.every(record => record.action !== 'undo'));
+
+    if (!batch) {
+        return { success: false, message: '❌ There is nothing to undo.' };
+    }
+    // Undoing past a moderator's edit could bring back cards they removed
+    if (batch.records.some(record => record.moderatorId)) {
+        return { success: false, message: '❌ Your latest change was made by a moderator and can\'t be undone.' };
+    }
+
+    const changed = [];
+    for (const record of batch.records.slice().reverse()) {
+        const userLists = data[LIST_TYPES[record.listType].dataKey];
+        if (!userLists.has(userId)) {
+            userLists.set(userId, { username: record.username || username, lists: [], cards: new Map() });
+        }
+        const userData = userLists.get(userId);
+
+        if (record.action === 'rename') {
+            // The cards are already back under the old name, put the name back where the new one was
+            const index = userData.lists.indexOf(record.to);
+            userData.lists = userData.lists.filter(list => list !== record.to && list !== record.from);
+            userData.lists.splice(index === -1 ? userData.lists.length : index, 0, record.from);
+        } else if (record.before) {
+            restoreEntry(userData, record.cardKey, snapshotEntry(record.before), record.index);
+
+            // Cards may come back to a named list that was deleted since
+            const list = parseCardKey(record.cardKey).list;
+            if (list && !userData.lists.includes(list)) {
+                userData.lists.push(list);
+            }
+        } else {
+            userData.cards.delete(record.cardKey);
+            if (isUserDataEmpty(userData)) {
+                userLists.delete(userId);
+            }
+        }
+        changed.push(record);
+    }
+
+    logChange(data, userId, { action: 'undo', undoes: batch.batch });
+    saveServerData();
+
+    const lines = changed.reverse().map(record => `• ${describeChange(record)}`);
+    return {
+        success: true,
+        message: truncateMessage(`↩️ Undid ${changed.length} change${changed.length === 1 ? '' : 's'} from <t:${Math.floor(batch.at / 1000)}:R>:\n${lines.join('\n')}`)
+    };
+}
+
+// Recent changes to the user's lists, newest first
+function handleHistory(userId, data) {
+    const batches = getChangeBatches(data, userId).slice(0, 10);
+    if (batches.length === 0) {
+        return { success: false, message: '❌ You haven\'t changed your lists yet.' };
+    }
+
+    const sections = batches.map(batch => {
+        const time = `<t:${Math.floor(batch.at / 1000)}:R>`;
+        const undo = batch.records.find(record => record.action === 'undo');
+        if (undo) {
+            return `**${time}** undid an earlier change`;
+        }
+
+        const lines = batch.records.slice(0, 5).map(record => `• ${describeChange(record)}`);
+        if (batch.records.length > lines.length) {
+            lines.push(`• …and ${batch.records.length - lines.length} more`);
+        }
+        const moderated = batch.records.some(record => record.moderatorId) ? ' *(by a moderator)*' : '';
+        return `**${time}**${moderated}${batch.undone ? ' *(undone)*' : ''}\n${lines.join('\n')}`;
+    });
+
+    return {
+        success: true,
+        message: truncateMessage(`**Your recent changes:**\n\n${sections.join('\n\n')}\n\nUse \`/wants undo\` to revert the latest one.`)
+    };
+}
+
+// Ask before clearing a list, it can hold a lot of work
+function createClearConfirmation(userId, data, listType = 'wants', listName = null) {
+    const userData = data[LIST_TYPES[listType].dataKey].get(userId);
+    const listLabel = listName ? `**${listName}** list` : LIST_TYPES[listType].label;
+    const count = userData
+        ? Array.from(userData.cards.keys()).filter(key => !listName || (parseCardKey(key).list || MAIN_LIST) === listName).length
+        : 0;
+
+    if (count === 0) {
+        return { success: false, message: `❌ Your ${listLabel} is already empty.` };
+    }
+
+    const idSuffix = `${listType}:${userId}${listName ? `:${listName}` : ''}`;
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`clear:confirm:${idSuffix}`).setLabel(`Clear ${count} cards`).setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId(`clear:cancel:${idSuffix}`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+    );
+
+    return {
+        success: false,
+        message: `⚠️ Really clear all ${count} card specifications from your ${listLabel}? You can bring them back with \`/wants undo\`.`,
+        components: [row]
+    };
+}
+
+async function handleClearButton(interaction) {
+    const [, action, listType, userId, listName = null] = interaction.customId.split(':');
+
+    if (interaction.user.id !== userId) {
+        await interaction.reply({ content: '❌ Only the owner of the list can confirm this.', ephemeral: true });
+        return;
+    }
+
+    if (action === 'cancel') {
+        await interaction.update({ content: '✅ Nothing was cleared.', components: [] });
+        return;
+    }
+
+    const data = getGuildData(interaction.guild.id, interaction.channel.id);
+    const username = interaction.member ? interaction.member.displayName : interaction.user.username;
+    const result = await handleClearWants(userId, username, data, listType, listName);
+    await interaction.update({ content: result.message, components: [] });
+
+    if (result.success && listType === 'wants') {
+        await updatePinnedMessage(interaction.channel, data);
+    }
+}
+
+// Clear a whole list type, or only one named wants list (MAIN_LIST for the main one)
+async function handleClearWants(userId, username, data, listType = 'wants', listName = null, actorId = userId) {
+    const userLists = data[LIST_TYPES[listType].dataKey];
+    const listLabel = listName ? `**${listName}** list` : LIST_TYPES[listType].label;
+    const userData = userLists.get(userId);
+    const cardKeys = userData
+        ? Array.from(userData.cards.keys()).filter(key => !listName || (parseCardKey(key).list || MAIN_LIST) === listName)
+        : [];
+
+    if (cardKeys.length === 0) {
+        return {
+            success: false,
+            message: `❌ Your ${listLabel} is already empty.`
+        };
+    }
+
+    // Logged last card first, so undoing in reverse puts every card back at its old position
+    const batch = nextChangeBatch(data, userId);
+    const allKeys = Array.from(userData.cards.keys());
+    for (const cardKey of cardKeys.slice().reverse()) {
+        logChange(data, userId, {
+            batch,
+            action: 'clear',
+            listType,
+            username: userData.username,
+            cardKey,
+            index: allKeys.indexOf(cardKey),
+            before: snapshotEntry(userData.cards.get(cardKey)),
+            after: null
+        });
+    }
+    markModeratorBatch(data, userId, batch, actorId);
+
+    // Only the cards go; named lists stay, even empty, since undo only brings cards back
+    for (const cardKey of cardKeys) {
+        userData.cards.delete(cardKey);
+    }
+    if (isUserDataEmpty(userData)) {
+        userLists.delete(userId);
+    }
+    saveServerData();
+    
+    return {
+        success: true,
+        message: `✅ Cleared all ${cardKeys.length} card specifications from ${username}'s ${listLabel}.`
+    };
+}
+
+// A user entry can go once it has no cards and no named lists left
+function isUserDataEmpty(userData) {
+    return userData.cards.size === 0 && (!userData.lists || userData.lists.length === 0);
+}
+
+// List names are typed with or without the @, in any case
+function normalizeListName(input) {
+    return (input || '').trim().toLowerCase().replace(/^@/, '') || null;
+}
+
+// The list a card goes into; the main list is stored without a name
+function parseListName(input) {
+    const name = normalizeListName(input);
+    return name === MAIN_LIST ? null : name;
+}
+
+// Named lists have to be created before cards can be added to them, so typos don't make new lists
+function checkTargetList(userData, list, listType) {
+    if (!list) return null;
+    if (listType !== 'wants') {
+        return '❌ Named lists are only for wants.';
+    }
+    if (!(userData.lists || []).includes(list)) {
+        return `❌ You have no list named **${list}**. Create it with \`/wants lists action:create name:${list}\`.`;
+    }
+    return null;
+}
+
+function formatListOverview(userData) {
+    const counts = new Map([[MAIN_LIST, 0], ...(userData ? userData.lists : []).map(name => [name, 0])]);
+    for (const cardKey of userData ? userData.cards.keys() : []) {
+        const list = parseCardKey(cardKey).list || MAIN_LIST;
+        counts.set(list, (counts.get(list) || 0) + 1);
+    }
+    return Array.from(counts.entries()).map(([name, count]) => `• **${name}**: ${count} card specification${count === 1 ? '' : 's'}`).join('\n');
+}
+
+// Create, rename, delete or show a user's named wants lists
+function handleListsCommand(action, name, newName, userId, username, data) {
+    let userData = data.userWants.get(userId);
+    name = normalizeListName(name);
+    newName = normalizeListName(newName);
+
+    if (!action || action === 'show') {
+        return { success: true, message: `**Your wants lists:**\n${formatListOverview(userData)}\n\nTarget a list with \`@name\`, e.g. \`/wants bulk @cube +1 Opt\`.` };
+    }
+
+    if (!name) {
+        return { success: false, message: '❌ Give the name of the list.' };
+    }
+
+    if (action === 'create') {
+        if (name === MAIN_LIST || !LIST_NAME_PATTERN.test(name)) {
+            return { success: false, message: `❌ List names are up to 32 letters, digits, \`-\` or \`_\`, and can't be "${MAIN_LIST}".` };
+        }
+        if (userData && userData.lists.includes(name)) {
+            return { success: false, message: `❌ You already have a list named **${name}**.` };
+        }
+        if (userData && userData.lists.length >= MAX_NAMED_LISTS) {
+            return { success: false, message: `❌ You can have up to ${MAX_NAMED_LISTS} named lists.` };
+        }
+
+        if (!userData) {
+            userData = { username, lists: [], cards: new Map() };
+            data.userWants.set(userId, userData);
+        }
+        userData.lists.push(name);
+        saveServerData();
+        return { success: true, message: `✅ Created the list **${name}**. Add cards with \`/wants add card:Opt list:${name}\` or \`@${name} +1 Opt\`.` };
+    }
+
+    if (!userData || !userData.lists.includes(name)) {
+        return { success: false, message: `❌ You have no list named **${name}**.` };
+    }
+
+    if (action === 'rename') {
+        if (!newName || newName === MAIN_LIST || !LIST_NAME_PATTERN.test(newName)) {
+            return { success: false, message: `❌ Give a new name of up to 32 letters, digits, \`-\` or \`_\`, other than "${MAIN_LIST}".` };
+        }
+        if (userData.lists.includes(newName)) {
+            return { success: false, message: `❌ You already have a list named **${newName}**.` };
+        }
+    }
+
+    const batch = nextChangeBatch(data, userId);
+    // The rename itself is logged first, so undo restores the list name after moving the cards back
+    if (action === 'rename') {
+        logChange(data, userId, { batch, action: 'rename', listType: 'wants', username: userData.username, from: name, to: newName });
+    }
+    const entries = [];
+    Array.from(userData.cards.entries()).forEach(([cardKey, entry], index) => {
+        const keyInfo = parseCardKey(cardKey);
+        if (keyInfo.list !== name) {
+            entries.push([cardKey, entry]);
+            return;
+        }
+
+        // Both are logged card by card so /wants undo can bring the cards back
+        const change = { batch, listType: 'wants', username: userData.username, index };
+        logChange(data, userId, { ...change, action: 'remove', cardKey, before: snapshotEntry(entry), after: null });
+        if (action === 'rename') {
+            const newKey = createCardKey({ ...keyInfo, list: newName });
+            logChange(data, userId, { ...change, action: 'add', cardKey: newKey, before: null, after: snapshotEntry(entry) });
+            entries.push([newKey, entry]);
+        }
+    });
+
+    const removed = userData.cards.size - entries.length;
+    userData.cards = new Map(entries);
+
+    if (action === 'rename') {
+        userData.lists[userData.lists.indexOf(name)] = newName;
+        saveServerData();
+        return { success: true, message: `✅ Renamed **${name}** to **${newName}**.` };
+    }
+
+    userData.lists = userData.lists.filter(list => list !== name);
+    if (isUserDataEmpty(userData)) {
+        data.userWants.delete(userId);
+    }
+    saveServerData();
+    return { success: true, message: `✅ Deleted the list **${name}**${removed > 0 ? ` and its ${removed} card specification${removed === 1 ? '' : 's'}. Use \`/wants undo\` to bring the cards back` : ''}.` };
+}
+
+// Find a want by its card key (from autocomplete) or by a card name that matches a single entry
+function findOwnWant(userData, input) {
+    if (!userData || userData.cards.size === 0) {
+        return { error: '❌ Your wants list is empty. Add cards with `/wants add`.' };
+    }
+    if (userData.cards.has(input)) {
+        return { cardKey: input };
+    }
+
+    const name = input.trim().toLowerCase();
+    const keys = Array.from(userData.cards.keys()).filter(key => parseCardKey(key).cardName.toLowerCase() === name);
+
+    if (keys.length === 1) {
+        return { cardKey: keys[0] };
+    }
+    if (keys.length > 1) {
+        return { error: `❌ You want several versions of **${parseCardKey(keys[0]).cardName}**, pick one from the suggestions.` };
+    }
+    return { error: `❌ **${input}** is not on your wants list.` };
+}
+
+function handleSetPriority(input, level, userId, data) {
+    const userData = data.userWants.get(userId);
+    const found = findOwnWant(userData, input);
+    if (found.error) {
+        return { success: false, message: found.error };
+    }
+
+    const entry = userData.cards.get(found.cardKey);
+    if (level === DEFAULT_PRIORITY) {
+        delete entry.priority;
+    } else {
+        entry.priority = level;
+    }
+    saveServerData();
+
+    return {
+        success: true,
+        message: `✅ **${formatCardDisplay(parseCardKey(found.cardKey))}** now has ${PRIORITY_LEVELS[level].label.toLowerCase()} priority.`
+    };
+}
+
+// Move a want to a new position; the board lists wants of the same priority in this order
+function handleReorder(input, position, userId, data) {
+    const userData = data.userWants.get(userId);
+    const found = findOwnWant(userData, input);
+    if (found.error) {
+        return { success: false, message: found.error };
+    }
+
+    const entries = Array.from(userData.cards.entries()).filter(([cardKey]) => cardKey !== found.cardKey);
+    const index = Math.min(position, entries.length + 1) - 1;
+    entries.splice(index, 0, [found.cardKey, userData.cards.get(found.cardKey)]);
+    userData.cards = new Map(entries);
+    saveServerData();
+
+    return {
+        success: true,
+        message: `✅ Moved **${formatCardDisplay(parseCardKey(found.cardKey))}** to position ${index + 1} of ${entries.length}.`
+    };
+}
+
+// Everyone who wants any printing of a card, resolved through Scryfall so "bolt" finds Lightning Bolt
+async function handleWhoWants(cardName, data) {
+    if (!cardName) {
+        return { success: false, message: '❌ Give a card name, like `who Lightning Bolt`.' };
+    }
+
+    let cardInfo;
+    try {
+        cardInfo = await searchCardOnScryfall(cardName);
+    } catch (error) {
+        return { success: false, message: `❌ ${error.message}` };
+    }
+
+    const items = Array.from(data.userWants.values())
+        .flatMap(collectWantItems)
+        .filter(item => item.cardName === cardInfo.exactName)
+        .sort((a, b) => a.priority - b.priority || a.username.localeCompare(b.username));
+
+    if (items.length === 0) {
+        return { success: true, message: `Nobody wants **${cardInfo.exactName}** right now.` };
+    }
+
+    const members = new Set(items.map(item => item.username)).size;
+    const copies = items.reduce((sum, item) => sum + item.quantity, 0);
+    const lines = items.map(item => formatWantLine(item, { showCard: false }));
+
+    return {
+        success: true,
+        message: truncateMessage(`**${cardInfo.exactName}** is wanted by ${members} member${members === 1 ? '' : 's'} (${copies} cop${copies === 1 ? 'y' : 'ies'}):\n${lines.join('\n')}`)
+    };
+}
+
+// Another member's wants and haves
+function handleViewUser(targetId, data) {
+    const lists = formatUserLists(targetId, data);
+    if (!lists) {
+        return { success: false, message: '❌ That member has no wants or haves.' };
+    }
+
+    const username = (data.userWants.get(targetId) || data.userHaves.get(targetId)).username;
+    return {
+        success: true,
+        message: truncateMessage(`**${username}'s lists:**\n\n${lists}`)
+    };
+}
+
+// Turn the /wants browse options into one query, e.g. "f:modern id:g t:creature"
+async function buildBrowseQuery({ query, format, colors, rarity, set }) {
+    const parts = [];
+    if (format) parts.push(`f:${format}`);
+    if (colors) parts.push(`id:${colors.trim()}`);
+    if (rarity) parts.push(`r:${rarity}`);
+    if (set) {
+        const resolved = await resolveSet(set.trim());
+        if (!resolved) {
+            return { error: `❌ Set "${set}" not found.` };
+        }
+        parts.push(`s:${resolved.setCode.toLowerCase()}`);
+    }
+    if (query) parts.push(query.trim());
+    return { text: parts.join(' ') };
+}
+
+// Search the server's wants and start a paged result
+function handleBrowse(query, data) {
+    const { terms, errors } = parseCardQuery(query);
+    if (errors.length > 0) {
+        return { success: false, message: `❌ Could not read the search: ${errors.map(error => `${error.message} (at "${error.text}")`).join('; ')}` };
+    }
+    if (terms.length === 0) {
+        return { success: false, message: '❌ Give at least one filter, like `browse f:modern` or `browse t:creature c:g`.' };
+    }
+
+    const token = crypto.randomUUID();
+    browseSessions.set(token, { query, expiresAt: Date.now() + BROWSE_SESSION_TTL });
+    return { success: true, ...createBrowsePage(token, query, data, 0) };
+}
+
+// Set codes for s: terms; older wants hold a set name, wants for any printing get every set the card
+// was printed in (known only from the offline index)
+function getBrowseSets(item) {
+    if (item.setCode) {
+        return { setCode: toSetCode(item.setCode), sets: null };
+    }
+    const printings = cardIndex.isLoaded() ? cardIndex.getPrintings(item.cardName) : [];
+    return { setCode: null, sets: Array.from(new Set(printings.map(card => card.set))) };
+}
+
+// One page of browse results, worked out again on every page so it follows list changes
+function createBrowsePage(token, query, data, page) {
+    const { terms } = parseCardQuery(query);
+    const hasSetTerm = terms.some(term => term.field === 'set');
+    const items = Array.from(data.userWants.values())
+        .flatMap(collectWantItems)
+        .map(item => hasSetTerm ? { ...item, ...getBrowseSets(item) } : item);
+
+    // Wants saved before card data was stored can't be checked until the next price refresh
+    const checkable = needsCardMeta(terms) ? items.filter(item => item.meta) : items;
+    const skipped = items.length - checkable.length;
+
+    const matches = checkable
+        .filter(item => matchesCardQuery(terms, item))
+        .sort((a, b) => a.cardName.localeCompare(b.cardName) || a.priority - b.priority || a.username.localeCompare(b.username));
+
+    const pages = Math.max(1, Math.ceil(matches.length / BROWSE_PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), pages - 1);
+    const lines = matches
+        .slice(current * BROWSE_PAGE_SIZE, (current + 1) * BROWSE_PAGE_SIZE)
+        .map(item => formatWantLine(item, { showUser: true }));
+
+    const members = new Set(matches.map(item => item.username)).size;
+    const footer = [`Page ${current + 1}/${pages}`, `${matches.length} want(s) from ${members} member(s)`];
+    if (skipped > 0) {
+        footer.push(`${skipped} want(s) without card data yet were skipped`);
+    }
+    if (hasSetTerm) {
+        footer.push('wants for any printing count for every set the card is in');
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(0x7289DA)
+        .setTitle(`🔎 Wants matching ${query}`.substring(0, 256))
+        .setDescription(lines.length > 0 ? truncateMessage(lines.join('\n'), EMBED_DESCRIPTION_LIMIT) : 'Nobody wants a card like that right now.')
+        .setFooter({ text: footer.join(' · ') });
+
+    const components = pages > 1
+        ? [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`browse:${token}:${current - 1}`)
+                .setLabel('◀ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current === 0),
+            new ButtonBuilder()
+                .setCustomId(`browse:${token}:${current + 1}`)
+                .setLabel('Next ▶')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current === pages - 1)
+        )]
+        : [];
+
+    return { embeds: [embed], components };
+}
+
+async function handleBrowseButton(interaction) {
+    const [, token, page] = interaction.customId.split(':');
+    const session = browseSessions.get(token);
+
+    if (!session || session.expiresAt < Date.now()) {
+        browseSessions.delete(token);
+        await interaction.update({ components: [] });
+        await interaction.followUp({ content: '⌛ These results have expired. Please run the search again.', ephemeral: true });
+        return;
+    }
+
+    session.expiresAt = Date.now() + BROWSE_SESSION_TTL;
+    const data = getGuildData(interaction.guild.id, interaction.channel.id);
+    await interaction.update(createBrowsePage(token, session.query, data, Number(page)));
+}
+
+// Show one of the user's own lists
+function handleShowList(userId, data, listType = 'wants', listName = null) {
+    const userData = data[LIST_TYPES[listType].dataKey].get(userId);
+    if (listName) {
+        if (listName !== MAIN_LIST && (!userData || !userData.lists.includes(listName))) {
+            return { success: false, message: `❌ You have no list named **${listName}**.` };
+        }
+
+        const lines = userData ? createUserSection(userData, listName).lines : [];
+        return {
+            success: true,
+            message: lines.length > 0 ? truncateMessage(`**Your ${listName} list:**\n${lines.join('\n')}`) : `Your **${listName}** list is empty.`
+        };
+    }
+
+    if (!userData || userData.cards.size === 0) {
+        return {
+            success: false,
+            message: listType === 'haves'
+                ? '❌ Your haves list is empty. Add cards with `/wants haves +2 Lightning Bolt`.'
+                : '❌ Your wants list is empty. Add cards with `/wants add`.'
+        };
+    }
+
+    const section = createUserSection(userData);
+    return {
+        success: true,
+        message: truncateMessage(`**Your ${LIST_TYPES[listType].label}:**\n${section.lines.join('\n')}`)
+    };
+}
+
+async function handleHavesCommand(args, userId, username, data) {
+    if (args.toLowerCase() === 'clear') {
+        return createClearConfirmation(userId, data, 'haves');
+    }
+
+    if (args === '') {
+        return handleShowList(userId, data, 'haves');
+    }
+
+    const result = await handleMultipleOperations(args, userId, username, data, 'haves');
+    return {
+        success: result.hasChanges,
+        message: result.message,
+        components: result.components,
+        embeds: result.embeds
+    };
+}
+
+// Check whether a card someone has satisfies a card someone wants
+function haveSatisfiesWant(haveInfo, wantInfo) {
+    if (haveInfo.cardName.toLowerCase() !== wantInfo.cardName.toLowerCase()) {
+        return false;
+    }
+
+    // A want with a set only matches the same set; older entries may hold a set name instead of the code
+    if (wantInfo.setCode && (!haveInfo.setCode || toSetCode(haveInfo.setCode) !== toSetCode(wantInfo.setCode))) {
+        return false;
+    }
+
+    if (wantInfo.collectorNumber && haveInfo.collectorNumber !== wantInfo.collectorNumber) {
+        return false;
+    }
+
+    // A want with a finish only matches that finish; a want without one accepts any
+    if (wantInfo.finish && haveInfo.finish !== wantInfo.finish) {
+        return false;
+    }
+
+    if (!wantInfo.flags.every(flag => haveInfo.flags.includes(flag))) {
+        return false;
+    }
+
+    // Haves without a language are taken to be English
+    if (wantInfo.language && (haveInfo.language || 'en') !== wantInfo.language) {
+        return false;
+    }
+
+    // A minimum condition needs a have in that condition or better; unknown conditions don't qualify
+    if (wantInfo.condition) {
+        if (!haveInfo.condition || CONDITIONS.indexOf(haveInfo.condition) > CONDITIONS.indexOf(wantInfo.condition)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Match one user's haves against another user's wants
+function matchCards(haveCards, wantCards) {
+    const matches = [];
+    const remaining = new Map(Array.from(haveCards.entries(), ([haveKey, entry]) => [haveKey, entry.quantity]));
+
+    for (const [wantKey, wantEntry] of wantCards.entries()) {
+        const wantInfo = parseCardKey(wantKey);
+        let needed = wantEntry.quantity;
+
+        for (const [haveKey, haveQuantity] of remaining.entries()) {
+            if (needed === 0) break;
+            if (haveQuantity === 0 || !haveSatisfiesWant(parseCardKey(haveKey), wantInfo)) continue;
+
+            const quantity = Math.min(needed, haveQuantity);
+            matches.push({ wantKey, haveKey, quantity });
+            remaining.set(haveKey, haveQuantity - quantity);
+            needed -= quantity;
+        }
+    }
+
+    return matches;
+}
+
+// Find every other user who has cards this user wants, or wants cards this user has
+function findTradeMatches(userId, data) {
+    const myWants = data.userWants.get(userId);
+    const myHaves = data.userHaves.get(userId);
+    const otherUserIds = new Set([...data.userWants.keys(), ...data.userHaves.keys()]);
+    otherUserIds.delete(userId);
+
+    const results = [];
+    for (const otherId of otherUserIds) {
+        const theirWants = data.userWants.get(otherId);
+        const theirHaves = data.userHaves.get(otherId);
+
+        const theyHave = myWants && theirHaves ? matchCards(theirHaves.cards, myWants.cards) : [];
+        const youHave = myHaves && theirWants ? matchCards(myHaves.cards, theirWants.cards) : [];
+
+        if (theyHave.length === 0 && youHave.length === 0) continue;
+
+        results.push({
+            userId: otherId,
+            username: (theirHaves || theirWants).username,
+            theyHave,
+            youHave,
+            theyHaveCount: theyHave.reduce((sum, match) => sum + match.quantity, 0),
+            youHaveCount: youHave.reduce((sum, match) => sum + match.quantity, 0)
+        });
+    }
+
+    // Best trades (cards flowing both ways) first
+    results.sort((a, b) =>
+        (Math.min(b.theyHaveCount, b.youHaveCount) - Math.min(a.theyHaveCount, a.youHaveCount)) ||
+        ((b.theyHaveCount + b.youHaveCount) - (a.theyHaveCount + a.youHaveCount)) ||
+        a.username.localeCompare(b.username)
+    );
+
+    return results;
+}
+
+function formatMatchLines(matches) {
+    return matches.map(match => {
+        const keyInfo = parseCardKey(match.haveKey);
+        return `• ${match.quantity}x ${formatCardDisplay(keyInfo)}`;
+    }).join('\n');
+}
+
+function handleShowMatches(userId, data) {
+    if (!data.userWants.has(userId) && !data.userHaves.has(userId)) {
+        return {
+            message: '❌ Add some wants or haves first to find trade matches.',
+            embeds: []
+        };
+    }
+
+    const matches = findTradeMatches(userId, data);
+    if (matches.length === 0) {
+        return {
+            message: '🔍 No trade matches found yet. Matches appear when someone has a card you want or wants a card you have.',
+            embeds: []
+        };
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('🤝 Trade Matches')
+        .setColor(0x7289DA)
+        .setTimestamp();
+
+    // Discord allows at most 25 fields per embed
+    for (const match of matches.slice(0, 25)) {
+        let value = `${match.username} has ${match.theyHaveCount} of the cards you want, and you have ${match.youHaveCount} they want.`;
+        if (match.theyHave.length > 0) {
+            value += `\n**They have:**\n${formatMatchLines(match.theyHave)}`;
+        }
+        if (match.youHave.length > 0) {
+            value += `\n**You have:**\n${formatMatchLines(match.youHave)}`;
+        }
+        if (value.length > 1024) {
+            value = value.substring(0, 1000) + '\n*...truncated*';
+        }
+
+        embed.addFields({ name: match.username, value, inline: false });
+    }
+
+    embed.setFooter({ text: `${matches.length} trading partner(s) found | Powered by Scryfall API` });
+
+    return {
+        message: `🤝 Found ${matches.length} trading partner(s):`,
+        embeds: [embed]
+    };
+}
+
+// Copy the printing, prices and card data from a Scryfall lookup onto a stored card
+function updateEntryPrices(entry, cardInfo) {
+    entry.scryfallId = cardInfo.scryfallId;
+    entry.prices = cardInfo.prices;
+    entry.pricesUpdatedAt = cardInfo.timestamp;
+    if (cardInfo.meta) {
+        entry.meta = cardInfo.meta;
+    }
+}
+
+// Refresh stale prices for every stored card, one Scryfall request per printing.
+// Cards saved before /wants browse existed get their card data filled in on the way.
+async function refreshPrices() {
+    if (priceRefreshRunning) return;
+    priceRefreshRunning = true;
+
+    try {
+        const staleBefore = Date.now() - PRICE_MAX_AGE;
+        const entriesById = new Map();
+        const changedGuilds = new Set();
+
+        for (const [guildId, data] of serverData.entries()) {
+            for (const listType of Object.keys(LIST_TYPES)) {
+                for (const userData of data[LIST_TYPES[listType].dataKey].values()) {
+                    for (const [cardKey, entry] of userData.cards.entries()) {
+                        if (entry.pricesUpdatedAt && entry.pricesUpdatedAt > staleBefore && entry.meta) continue;
+                        // Printings Scryfall didn't return are asked for again only once prices go stale
+                        if (entry.metaCheckedAt && entry.metaCheckedAt > staleBefore) continue;
+
+                        // Cards saved before prices were tracked need their printing looked up first
+                        if (!entry.scryfallId) {
+                            try {
+                                const keyInfo = parseCardKey(cardKey);
+                                const cardInfo = await searchCardOnScryfall(keyInfo.cardName, keyInfo.setCode);
+                                entry.scryfallId = cardInfo.scryfallId;
+                            } catch (error) {
+                                console.log(`Could not find printing for "${cardKey}":`, error.message);
+                                continue;
+                            }
+                        }
+
+                        if (!entriesById.has(entry.scryfallId)) {
+                            entriesById.set(entry.scryfallId, []);
+                        }
+                        entriesById.get(entry.scryfallId).push({ guildId, entry });
+                    }
+                }
+            }
+        }
+
+        if (entriesById.size > 0) {
+            console.log(`Refreshing prices for ${entriesById.size} printing(s)`);
+        }
+
+        // Look printings up in batches through /cards/collection
+        const scryfallIds = Array.from(entriesById.keys());
+        for (let i = 0; i < scryfallIds.length; i += COLLECTION_BATCH_SIZE) {
+            const batch = scryfallIds.slice(i, i + COLLECTION_BATCH_SIZE);
+            try {
+                const response = await makeApiRequest('/cards/collection', {
+                    identifiers: batch.map(id => ({ id }))
+                });
+                const now = Date.now();
+
+                const returned = new Set();
+                for (const card of response.data || []) {
+                    const prices = extractPrices(card);
+                    const meta = extractCardMeta(card);
+                    returned.add(card.id);
+                    for (const { guildId, entry } of entriesById.get(card.id) || []) {
+                        entry.prices = prices;
+                        entry.pricesUpdatedAt = now;
+                        entry.meta = meta;
+                        delete entry.metaCheckedAt;
+                        changedGuilds.add(guildId);
+                    }
+                }
+
+                for (const id of batch.filter(id => !returned.has(id))) {
+                    for (const { guildId, entry } of entriesById.get(id)) {
+                        entry.metaCheckedAt = now;
+                        changedGuilds.add(guildId);
+                    }
+                }
+            } catch (error) {
+                console.log(`Could not refresh prices for ${batch.length} printing(s):`, error.message);
+            }
+        }
+
+        await checkPriceAlerts();
+
+        if (changedGuilds.size > 0) {
+            saveServerData();
+            for (const guildId of changedGuilds) {
+                await refreshBoard(serverData.get(guildId));
+            }
+        }
+    } catch (error) {
+        console.error('Error refreshing prices:', error);
+    } finally {
+        priceRefreshRunning = false;
+    }
+}
+
+// Notify users whose wanted cards dropped to or below their alert price
+async function checkPriceAlerts() {
+    let hasChanges = false;
+
+    for (const [guildId, data] of serverData.entries()) {
+        for (const [userId, userData] of data.userWants.entries()) {
+            for (const [cardKey, entry] of userData.cards.entries()) {
+                if (!entry.alert) continue;
+
+                // Thresholds are only compared with prices in their own currency
+                const keyInfo = parseCardKey(cardKey);
+                const currency = entry.alert.currency || 'USD';
+                const price = getCardPrice(entry, keyInfo.finish, currency);
+                if (!price) continue;
+
+                if (price.amount <= entry.alert.maxPrice) {
+                    // Only alert once per drop below the threshold
+                    if (entry.alert.notifiedAt) continue;
+
+                    const display = formatCardDisplay(keyInfo);
+                    const guild = client.guilds.cache.get(guildId);
+                    const message = `📉 **${display}** is now ${formatPrice(price.amount, price.currency)} (your alert: ≤ ${formatPrice(entry.alert.maxPrice, currency)})${guild ? ` on your wants list in **${guild.name}**` : ''}.`;
+
+                    if (await notifyUser(userId, data, message)) {
+                        entry.alert.notifiedAt = Date.now();
+                        entry.alert.notifiedPrice = price.amount;
+                        hasChanges = true;
+                    }
+                } else if (entry.alert.notifiedAt) {
+                    // Price went back up, so the next drop alerts again
+                    entry.alert.notifiedAt = null;
+                    entry.alert.notifiedPrice = null;
+                    hasChanges = true;
+                }
+            }
+        }
+    }
+
+    if (hasChanges) {
+        saveServerData();
+    }
+}
+
+// DM a user, falling back to a mention in the board channel if their DMs are closed.
+// The message is either text or a { content, components } payload.
+async function notifyUser(userId, data, message) {
+    const payload = typeof message === 'string' ? { content: message } : message;
+
+    try {
+        const user = await client.users.fetch(userId);
+        await user.send(payload);
+        return true;
+    } catch (error) {
+        console.log(`Could not DM user ${userId}:`, error.message);
+    }
+
+    if (!data.channelId) return false;
+
+    try {
+        const channel = await client.channels.fetch(data.channelId);
+        await channel.send({ ...payload, content: `<@${userId}> ${payload.content}`, allowedMentions: { users: [userId] } });
+        return true;
+    } catch (error) {
+        console.log(`Could not notify user ${userId} in the board channel:`, error.message);
+        return false;
+    }
+}
+
+// Wants a reminder was sent about, optionally only those from one reminder
+function getStaleEntries(userData, sentAt = null) {
+    return Array.from(userData.cards.entries()).filter(([, entry]) =>
+        entry.staleNotice && (sentAt === null || entry.staleNotice.sentAt === sentAt));
+}
+
+function createStaleReminder(guildId, userId, userData, sentAt, guildName) {
+    const stale = getStaleEntries(userData, sentAt);
+    const lines = stale.slice(0, 20).map(([cardKey, entry]) => `• ${entry.quantity}x ${formatCardDisplay(parseCardKey(cardKey))}`);
+    if (stale.length > lines.length) {
+        lines.push(`…and ${stale.length - lines.length} more`);
+    }
+
+    const data = serverData.get(guildId);
+    const idSuffix = `${guildId}:${userId}:${sentAt}`;
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`stale:keep:${idSuffix}`).setLabel('Keep').setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`stale:renew:${idSuffix}`).setLabel('Remind me later').setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`stale:drop:${idSuffix}`).setLabel('Drop them').setStyle(ButtonStyle.Danger)
+    );
+
+    return {
+        content: truncateMessage(`🕰️ These wants${guildName ? ` in **${guildName}**` : ''} haven't changed in over ${data.config.staleAfterDays} days. Do you still want them?\n` +
+            `${lines.join('\n')}\n\n*Keep* stops these reminders, *Remind me later* asks again in ${data.config.staleAfterDays} days. ` +
+            `Without an answer they are removed in ${data.config.staleGraceDays} days.`),
+        components: [row]
+    };
+}
+
+// Remind users about old wants, and remove the ones whose reminder went unanswered
+async function checkStaleWants() {
+    if (staleCheckRunning) return;
+    staleCheckRunning = true;
+
+    try {
+        const now = Date.now();
+        let hasChanges = false;
+
+        for (const [guildId, data] of serverData.entries()) {
+            const { staleAfterDays, staleGraceDays } = data.config;
+            if (!staleAfterDays) continue;
+
+            let expired = 0;
+            for (const [userId, userData] of data.userWants.entries()) {
+                // Expire first, so a new reminder never covers cards that were just removed
+                for (const [cardKey, entry] of getStaleEntries(userData)) {
+                    if (entry.staleNotice.sentAt + staleGraceDays * DAY <= now) {
+                        userData.cards.delete(cardKey);
+                        expired++;
+                    }
+                }
+                if (isUserDataEmpty(userData)) {
+                    data.userWants.delete(userId);
+                    continue;
+                }
+
+                const staleBefore = now - staleAfterDays * DAY;
+                const newlyStale = Array.from(userData.cards.values()).filter(entry =>
+                    !entry.staleNotice && !entry.keepForever && (entry.updatedAt || entry.createdAt || now) <= staleBefore);
+                if (newlyStale.length === 0) continue;
+
+                for (const entry of newlyStale) {
+                    entry.staleNotice = { sentAt: now };
+                }
+
+                const guild = client.guilds.cache.get(guildId);
+                if (await notifyUser(userId, data, createStaleReminder(guildId, userId, userData, now, guild ? guild.name : null))) {
+                    hasChanges = true;
+                } else {
+                    // Try again next time instead of expiring cards the user never heard about
+                    for (const entry of newlyStale) {
+                        delete entry.staleNotice;
+                    }
+                }
+            }
+
+            if (expired > 0) {
+                console.log(`Expired ${expired} unanswered stale want(s) in guild ${guildId}`);
+                hasChanges = true;
+                await refreshBoard(data);
+            }
+        }
+
+        if (hasChanges) {
+            saveServerData();
+        }
+    } catch (error) {
+        console.error('Error checking stale wants:', error);
+    } finally {
+        staleCheckRunning = false;
+    }
+}
+
+// Every printing in a set, following Scryfall's result pages
+async function getSetCards(setCode) {
+    const cards = [];
+    let url = `/cards/search?q=${encodeURIComponent(`e:${setCode}`)}&unique=prints`;
+
+    while (url) {
+        let response;
+        try {
+            response = await makeApiRequest(url);
+        } catch (error) {
+            // Scryfall answers "not found" for a set without cards
+            if (error.message === 'Not found') break;
+            throw error;
+        }
+
+        cards.push(...(response.data || []));
+        url = response.has_more ? response.next_page : null;
+    }
+
+    return cards;
+}
+
+// Wants for any printing that the set's printings cover, grouped by user
+function findReprintedWants(data, printingsByName) {
+    const found = new Map(); // userId -> [{ keyInfo, printing }]
+
+    for (const [userId, userData] of data.userWants.entries()) {
+        for (const cardKey of userData.cards.keys()) {
+            const keyInfo = parseCardKey(cardKey);
+            if (keyInfo.setCode) continue;
+
+            // A foil or showcase want only counts when the new set has the card that way
+            const printing = (printingsByName.get(keyInfo.cardName) || [])
+                .find(card => (!keyInfo.finish || (card.finishes || []).includes(keyInfo.finish)) &&
+                    keyInfo.flags.every(flag => CARD_FLAG_CHECKS[flag](card)));
+            if (!printing) continue;
+
+            if (!found.has(userId)) {
+                found.set(userId, []);
+            }
+            found.get(userId).push({ keyInfo, printing });
+        }
+    }
+
+    return found;
+}
+
+function createReprintNotice(set, wants, guildName) {
+    const lines = wants.slice(0, 20).map(({ keyInfo, printing }) => {
+        const price = getCardPrice({ prices: extractPrices(printing) }, keyInfo.finish);
+        return `• ${formatCardDisplay(keyInfo)}${keyInfo.list ? ` @${keyInfo.list}` : ''}: #${printing.collector_number}` +
+            `${price ? ` · ${formatPrice(price.amount, price.currency)}` : ''}`;
+    });
+    if (wants.length > lines.length) {
+        lines.push(`…and ${wants.length - lines.length} more`);
+    }
+
+    return truncateMessage(`🆕 **${set.name}** (${set.code.toUpperCase()}) is out with new printings of cards you want${guildName ? ` in **${guildName}**` : ''}:\n` +
+        `${lines.join('\n')}\n\nYour wants for any printing already include them. <https://scryfall.com/sets/${set.code}>`);
+}
+
+// Tell everyone who wants any printing of a card that the set reprinted
+async function announceReprints(set) {
+    const guilds = Array.from(serverData.entries()).filter(([, data]) => data.config.reprintNotices);
+
+    // Only look the set's cards up if somebody could care
+    const hasOpenWants = guilds.some(([, data]) => Array.from(data.userWants.values()).some(userData =>
+        Array.from(userData.cards.keys()).some(cardKey => !parseCardKey(cardKey).setCode)));
+    if (!hasOpenWants) return;
+
+    const printingsByName = new Map();
+    for (const card of await getSetCards(set.code)) {
+        if (!printingsByName.has(card.name)) {
+            printingsByName.set(card.name, []);
+        }
+        printingsByName.get(card.name).push(card);
+    }
+
+    // Once notices went out the set counts as announced, so a failing guild is skipped instead of
+    // making the whole set retry and everyone else get the notice twice
+    for (const [guildId, data] of guilds) {
+        try {
+            const found = findReprintedWants(data, printingsByName);
+            const guild = client.guilds.cache.get(guildId);
+
+            for (const [userId, wants] of found.entries()) {
+                await notifyUser(userId, data, createReprintNotice(set, wants, guild ? guild.name : null));
+            }
+
+            if (found.size > 0) {
+                console.log(`Sent ${found.size} reprint notice(s) for ${set.code} in guild ${guildId}`);
+            }
+        } catch (error) {
+            console.error(`Could not send reprint notices for ${set.code} in guild ${guildId}:`, error.message);
+        }
+    }
+}
+
+// Look for sets released since the last check and announce reprints of wanted cards
+async function checkNewSets() {
+    if (setCheckRunning) return;
+    setCheckRunning = true;
+
+    try {
+        const response = await makeApiRequest('/sets');
+        const today = new Date().toISOString().slice(0, 10);
+        const released = (response.data || []).filter(set =>
+            !set.digital && !IGNORED_SET_TYPES.includes(set.set_type) && set.released_at && set.released_at <= today);
+
+        // The first check only records what is already out, otherwise every set ever printed would be "new"
+        if (announcedSets === null) {
+            announcedSets = released.map(set => set.code);
+            saveServerData();
+            console.log(`Recorded ${announcedSets.length} released sets, newer ones will be checked for reprints`);
+            return;
+        }
+
+        for (const set of released) {
+            if (announcedSets.includes(set.code)) continue;
+
+            try {
+                await announceReprints(set);
+            } catch (error) {
+                // Not recorded, so the set is tried again on the next check
+                console.error(`Could not check ${set.code} for reprints:`, error.message);
+                continue;
+            }
+
+            announcedSets.push(set.code);
+            saveServerData();
+        }
+    } catch (error) {
+        console.error('Error checking for new sets:', error.message);
+    } finally {
+        setCheckRunning = false;
+    }
+}
+
+// Keep, renew or drop the wants from one reminder
+async function handleStaleButton(interaction) {
+    const [, action, guildId, userId, sentAt] = interaction.customId.split(':');
+
+    if (interaction.user.id !== userId) {
+        await interaction.reply({ content: '❌ This reminder is for someone else.', ephemeral: true });
+        return;
     }
-    if (errors.length > 0) {
-        if (message) message += '\n\n';
-        message += errors.join('\n');
+
+    const data = serverData.get(guildId);
+    const userData = data ? data.userWants.get(userId) : null;
+    const stale = userData ? getStaleEntries(userData, Number(sentAt)) : [];
+
+    if (stale.length === 0) {
+        await interaction.update({ content: `${interaction.message.content}\n*Nothing left to do — these wants were already changed or removed.*`, components: [] });
+        return;
     }
 
-    return {
-        hasChanges,
-        message: message || '❌ No valid operations found.'
-    };
-}
+    const now = Date.now();
+    for (const [cardKey, entry] of stale) {
+        if (action === 'drop') {
+            userData.cards.delete(cardKey);
+            continue;
+        }
 
-async function handleAddCardOperation(cardOp, userData, data, userId) {
-    const { cardName, setCode, foil, quantity } = cardOp;
-    
-    if (!cardName || cardName.trim() === '') {
-        return {
-            success: false,
-            message: '❌ Card name cannot be empty.'
-        };
+        delete entry.staleNotice;
+        entry.updatedAt = now;
+        if (action === 'keep') {
+            entry.keepForever = true;
+        }
     }
 
-    if (isNaN(quantity) || quantity <= 0 || quantity > 99) {
-        return {
-            success: false,
-            message: `❌ Quantity for "${cardName}" must be between 1 and 99.`
-        };
+    if (isUserDataEmpty(userData)) {
+        data.userWants.delete(userId);
     }
+    saveServerData();
 
-    if (cardName.length > 100) {
-        return {
-            success: false,
-            message: `❌ Card name "${cardName}" is too long (max 100 characters).`
-        };
+    const outcome = {
+        keep: `✅ Kept ${stale.length} want(s), you won't be asked about them again.`,
+        renew: `✅ Kept ${stale.length} want(s), you'll be asked again in ${data.config.staleAfterDays} days.`,
+        drop: `✅ Removed ${stale.length} want(s) from your list.`
+    }[action];
+    await interaction.update({ content: truncateMessage(`${interaction.message.content}\n${outcome}`), components: [] });
+
+    if (action === 'drop') {
+        await refreshBoard(data);
     }
+}
+
+// Update a guild's board outside of a command (e.g. from a scheduled job)
+async function refreshBoard(data) {
+    if (!data.channelId) return;
 
-    // Validate card with Scryfall API
-    let cardInfo, setName = null;
     try {
-        console.log(`Searching for card: "${cardName}" ${setCode ? `in set "${setCode}"` : ''}`);
-        cardInfo = await searchCardOnScryfall(cardName, setCode);
-        setName = cardInfo.setName;
-        console.log(`Found exact card: "${cardInfo.exactName}" in "${setName}"`);
-        
-        // If user provided a set but we found a different one, validate the user's set
-        if (setCode && setCode.toLowerCase() !== cardInfo.setCode.toLowerCase()) {
-            try {
-                setName = await searchSetByCode(setCode);
-            } catch (setError) {
-                // Use the found card's set name
-                setName = cardInfo.setName;
-            }
-        }
+        const channel = await client.channels.fetch(data.channelId);
+        await updatePinnedMessage(channel, data);
     } catch (error) {
-        console.error(`Card search failed for "${cardName}":`, error.message);
-        return {
-            success: false,
-            message: `❌ ${error.message}`
-        };
+        console.error('Error refreshing board:', error.message);
     }
+}
 
-    // Create card key for storage
-    const finalSetCode = setCode || cardInfo.setCode;
-    const cardKey = createCardKey(cardInfo.exactName, finalSetCode, foil);
-    
-    // Check if user has too many different cards
-    if (!userData.cards.has(cardKey) && userData.cards.size >= 50) {
-        return {
-            success: false,
-            message: `❌ You can only want up to 50 different card specifications. Use \`clear\` to reset your list.`
-        };
+// Resolve the channel that holds the wants board, falling back to the current one
+async function getBoardChannel(currentChannel, data) {
+    // A configured board channel always wins over where the command was used
+    const boardChannelId = data.config.boardChannelId || data.channelId;
+    if (boardChannelId && boardChannelId !== currentChannel.id) {
+        try {
+            const channel = await client.channels.fetch(boardChannelId);
+            if (data.channelId !== channel.id) {
+                data.channelId = channel.id;
+                data.boardMessageIds = [];
+            }
+            return channel;
+        } catch (error) {
+            console.log('Board channel not found, moving the board to the current channel');
+        }
     }
-    
-    // Add or update card quantity
-    const displayName = formatCardDisplay(cardInfo.exactName, finalSetCode, foil, setName);
-    
-    if (userData.cards.has(cardKey)) {
-        const currentQty = userData.cards.get(cardKey);
-        const newQty = Math.min(currentQty + quantity, 99);
-        userData.cards.set(cardKey, newQty);
-        return {
-            success: true,
-            message: `✅ Updated **${displayName}** to ${newQty} copies.`
-        };
-    } else {
-        userData.cards.set(cardKey, quantity);
-        return {
-            success: true,
-            message: `✅ Added **${quantity}x ${displayName}**.`
-        };
+
+    if (data.channelId !== currentChannel.id) {
+        data.channelId = currentChannel.id;
+        data.boardMessageIds = [];
     }
+
+    return currentChannel;
 }
 
-async function handleRemoveCardOperation(cardOp, userData, data, userId) {
-    const { cardName, setCode, foil, quantity } = cardOp;
-    
-    if (userData.cards.size === 0) {
-        return {
-            success: false,
-            message: '❌ Your wants list is empty.'
-        };
+// Fetch a board message, or null if it was deleted or isn't ours
+async function fetchBoardMessage(channel, messageId) {
+    try {
+        const message = await channel.messages.fetch(messageId);
+        return message.author.id === client.user.id ? message : null;
+    } catch (error) {
+        return null;
     }
+}
 
-    if (isNaN(quantity) || quantity <= 0) {
-        return {
-            success: false,
-            message: `❌ Quantity for "${cardName}" must be greater than 0.`
-        };
-    }
+// Sync the board messages in the channel with the current wants (edit, add or delete as needed)
+async function updatePinnedMessage(currentChannel, data) {
+    try {
+        const channel = await getBoardChannel(currentChannel, data);
+        const pages = createBoardMessages(data.userWants, data.config.boardMode);
+        const oldIds = data.boardMessageIds || [];
+        const newIds = [];
+        const canPin = channel.permissionsFor(client.user).has(PermissionFlagsBits.ManageMessages);
 
-    // Find matching card key (case-insensitive card name matching)
-    let matchingKey = null;
-    let matchingDisplay = null;
-    
-    for (const [key, qty] of userData.cards.entries()) {
-        const keyInfo = parseCardKey(key);
-        
-        // Check if card name matches (case-insensitive)
-        if (keyInfo.cardName.toLowerCase() !== cardName.toLowerCase()) {
-            continue;
-        }
-        
-        // Check set code match (if specified)
-        if (setCode) {
-            if (!keyInfo.setCode || keyInfo.setCode.toLowerCase() !== setCode.toLowerCase()) {
+        // Edit messages in place until one is missing; after that, repost the rest so the order stays right
+        let reposting = false;
+        for (let i = 0; i < pages.length; i++) {
+            const existing = !reposting && oldIds[i] ? await fetchBoardMessage(channel, oldIds[i]) : null;
+
+            if (existing) {
+                await existing.edit({ embeds: pages[i] });
+                newIds.push(existing.id);
                 continue;
             }
+
+            if (!reposting && i < oldIds.length) {
+                console.log('Board message not found, reposting the rest of the board');
+                reposting = true;
+            }
+
+            const newMessage = await channel.send({ embeds: pages[i] });
+
+            // Pin only the first page; a channel holds at most 50 pins and a long board would use them up
+            if (canPin && i === 0) {
+                try {
+                    await newMessage.pin();
+                } catch (error) {
+                    console.log('Could not pin message:', error.message);
+                }
+            }
+
+            newIds.push(newMessage.id);
         }
-        
-        // Check foil match
-        if (keyInfo.foil !== foil) {
-            continue;
+
+        // Remove board messages that are no longer needed
+        for (const oldId of oldIds) {
+            if (newIds.includes(oldId)) continue;
+
+            const oldMessage = await fetchBoardMessage(channel, oldId);
+            if (oldMessage) {
+                try {
+                    await oldMessage.delete();
+                } catch (error) {
+                    console.log('Could not delete old board message:', error.message);
+                }
+            }
         }
-        
-        matchingKey = key;
-        matchingDisplay = formatCardDisplay(keyInfo.cardName, keyInfo.setCode, keyInfo.foil);
-        break;
+
+        data.boardMessageIds = newIds;
+        saveServerData();
+    } catch (error) {
+        console.error('Error updating pinned message:', error);
     }
+}
 
-    if (!matchingKey) {
-        const searchDisplay = formatCardDisplay(cardName, setCode, foil);
+// Flatten a user's list into board items, keeping the list order for wants of equal priority
+function collectWantItems(userData) {
+    return Array.from(userData.cards.entries()).map(([cardKey, entry], order) => {
+        const keyInfo = parseCardKey(cardKey);
         return {
-            success: false,
-            message: `❌ **${searchDisplay}** not found in your wants list.`
+            ...keyInfo,
+            username: userData.username,
+            quantity: entry.quantity,
+            price: getCardPrice(entry, keyInfo.finish),
+            alert: entry.alert || null,
+            priority: entry.priority || DEFAULT_PRIORITY,
+            meta: entry.meta || null,
+            order
         };
-    }
+    });
+}
 
-    const currentQty = userData.cards.get(matchingKey);
+// One board line; the card name or the user is left out when the section header already shows it
+function formatWantLine(item, { showCard = true, showUser = false, showPriority = true } = {}) {
+    const icon = showPriority && PRIORITY_LEVELS[item.priority].icon ? `${PRIORITY_LEVELS[item.priority].icon} ` : '';
+    const owner = item.list ? `${item.username} (${item.list})` : item.username;
+    let line;
 
-    if (quantity >= currentQty) {
-        userData.cards.delete(matchingKey);
-        return {
-            success: true,
-            message: `✅ Removed all copies of **${matchingDisplay}**.`
-        };
+    if (showCard) {
+        line = `• ${icon}${item.quantity}x ${formatCardDisplay(item)}`;
     } else {
-        userData.cards.set(matchingKey, currentQty - quantity);
-        return {
-            success: true,
-            message: `✅ Removed ${quantity}x **${matchingDisplay}**. (${currentQty - quantity} remaining)`
-        };
+        const details = formatSpecDetails(item);
+        line = `• ${icon}${owner}: ${item.quantity}x${details ? ` (${details})` : ''}`;
+    }
+
+    if (item.price) {
+        line += ` · ${formatPrice(item.price.amount, item.price.currency)}`;
+    }
+    if (item.alert) {
+        line += ` 🔔≤${formatPrice(item.alert.maxPrice, item.alert.currency || 'USD')}`;
     }
+    if (showUser) {
+        line += ` — ${owner}`;
+    }
+    return line;
 }
 
-async function handleClearWants(userId, username, data) {
-    if (!data.userWants.has(userId) || data.userWants.get(userId).cards.size === 0) {
-        return {
-            success: false,
-            message: '❌ Your wants list is already empty.'
-        };
+// A board section with its price total appended to the "**Title:**" header
+function createSection(title, items, lineOptions) {
+    const totals = { USD: 0, EUR: 0 };
+    let quantity = 0;
+
+    for (const item of items) {
+        if (item.price) {
+            totals[item.price.currency] += item.price.amount * item.quantity;
+        }
+        quantity += item.quantity;
     }
 
-    const userData = data.userWants.get(userId);
-    const cardCount = userData.cards.size;
-    
-    // Clear all cards for this user
-    data.userWants.delete(userId);
-    
+    const sectionTotal = formatPriceTotals(totals);
     return {
-        success: true,
-        message: `✅ Cleared all ${cardCount} card specifications from ${username}'s wants list.`
+        header: `**${title}:**${sectionTotal ? ` (${sectionTotal})` : ''}`,
+        lines: items.map(item => formatWantLine(item, lineOptions)),
+        specs: items.length,
+        quantity,
+        totals
     };
 }
 
-async function updatePinnedMessage(channel, data) {
-    try {
-        let pinnedMessage = null;
+// Build the board text for one user's list, highest priority first, then in the user's own order.
+// Named lists get their own sub-heading after the main list; listName limits it to one of them.
+function createUserSection(userData, listName = null) {
+    const items = collectWantItems(userData)
+        .filter(item => !listName || (item.list || MAIN_LIST) === listName)
+        .sort((a, b) => a.priority - b.priority || a.order - b.order);
+    const section = createSection(userData.username, items);
 
-        // Try to find existing pinned message
-        if (data.pinnedMessageId) {
-            try {
-                pinnedMessage = await channel.messages.fetch(data.pinnedMessageId);
-            } catch (error) {
-                // Message doesn't exist anymore, reset the ID
-                data.pinnedMessageId = null;
-                console.log('Previous pinned message not found, will create new one');
-            }
+    const listNames = Array.from(new Set(items.map(item => item.list)));
+    if (listName || (listNames.length === 1 && listNames[0] === null)) {
+        return section;
+    }
+
+    const order = [null, ...(userData.lists || [])];
+    listNames.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    section.lines = listNames.flatMap(list => [
+        `__${list || MAIN_LIST}__`,
+        ...items.filter(item => item.list === list).map(item => formatWantLine(item))
+    ]);
+    return section;
+}
+
+// One section per card listing everyone who wants a printing of it
+function createCardSections(items) {
+    const cards = new Map();
+    for (const item of items) {
+        if (!cards.has(item.cardName)) {
+            cards.set(item.cardName, []);
+        }
+        cards.get(item.cardName).push(item);
+    }
+
+    return Array.from(cards.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([cardName, cardItems]) => {
+            cardItems.sort((a, b) => a.priority - b.priority || a.username.localeCompare(b.username));
+            const wanted = cardItems.reduce((sum, item) => sum + item.quantity, 0);
+            const section = createSection(cardName, cardItems, { showCard: false });
+            section.header = section.header.replace(/:\*\*/, `:** ${wanted} wanted`);
+            return section;
+        });
+}
+
+// One section per priority level, most wanted first
+function createPrioritySections(items) {
+    return Object.entries(PRIORITY_LEVELS)
+        .map(([level, { label, icon }]) => {
+            const levelItems = items
+                .filter(item => item.priority === Number(level))
+                .sort((a, b) => a.cardName.localeCompare(b.cardName) || a.username.localeCompare(b.username));
+            return levelItems.length > 0
+                ? createSection(`${icon ? `${icon} ` : ''}${label} priority`, levelItems, { showUser: true, showPriority: false })
+                : null;
+        })
+        .filter(section => section);
+}
+
+// Split the board into embed descriptions, keeping users together where possible
+function createBoardDescriptions(sections) {
+    const descriptions = [];
+    let current = '';
+
+    const flush = () => {
+        if (current) {
+            descriptions.push(current.trim());
+            current = '';
         }
+    };
 
-        // Create embed with current wants
-        const embed = createWantsEmbed(data.userWants);
+    for (const section of sections) {
+        const text = `${section.header}\n${section.lines.join('\n')}\n\n`;
 
-        if (pinnedMessage && pinnedMessage.author.id === client.user.id) {
-            // Update existing message
-            await pinnedMessage.edit({ embeds: [embed] });
-        } else {
-            // Create new pinned message
-            const newMessage = await channel.send({ embeds: [embed] });
-            
-            // Pin the message if bot has permissions
-            if (channel.permissionsFor(client.user).has(PermissionFlagsBits.ManageMessages)) {
-                try {
-                    await newMessage.pin();
-                } catch (error) {
-                    console.log('Could not pin message:', error.message);
-                }
+        if (current.length + text.length <= EMBED_DESCRIPTION_LIMIT) {
+            current += text;
+            continue;
+        }
+
+        flush();
+
+        if (text.length <= EMBED_DESCRIPTION_LIMIT) {
+            current = text;
+            continue;
+        }
+
+        // A single list longer than one embed is continued in the next one
+        let chunk = `${section.header}\n`;
+        for (const line of section.lines) {
+            if (chunk.length + line.length + 1 > EMBED_DESCRIPTION_LIMIT) {
+                descriptions.push(chunk.trim());
+                chunk = `${section.header.replace(/:\*\*.*$/, ' (continued):**')}\n`;
             }
-            
-            // Update stored message ID
-            data.pinnedMessageId = newMessage.id;
+            chunk += `${line}\n`;
         }
-    } catch (error) {
-        console.error('Error updating pinned message:', error);
+        current = `${chunk}\n`;
     }
+
+    flush();
+    return descriptions;
 }
 
-function createWantsEmbed(userWants) {
-    const embed = new EmbedBuilder()
-        .setTitle('🎴 MTG Card Wants List')
-        .setColor(0x7289DA)
-        .setTimestamp();
+function embedLength(embed) {
+    const json = embed.toJSON();
+    return (json.title || '').length + (json.description || '').length + (json.footer ? json.footer.text.length : 0);
+}
 
-    if (userWants.size === 0) {
-        embed.setDescription('*No cards wanted yet. Use `/wants + [number] [card name]` to add cards!*\n\n*Examples:*\n`/wants +2 Lightning Bolt (M25)`\n`/wants +1 Lightning Bolt (M25, foil)`\n`/wants +3 Lightning Bolt (foil)`\n\n*You can also combine operations:*\n`/wants +1 Lightning Bolt (M25, foil) -2 Opt`');
-        return embed;
+// Build the board as a list of messages, each a list of embeds within Discord's limits
+function createBoardMessages(userWants, mode = 'user') {
+    const users = Array.from(userWants.values())
+        .filter(userData => userData.cards.size > 0)
+        .sort((a, b) => a.username.localeCompare(b.username));
+
+    let sections;
+    if (mode === 'card') {
+        sections = createCardSections(users.flatMap(collectWantItems));
+    } else if (mode === 'priority') {
+        sections = createPrioritySections(users.flatMap(collectWantItems));
+    } else {
+        sections = users.map(createUserSection);
     }
 
-    let description = '';
-    let totalSpecs = 0;
-    let totalQuantity = 0;
+    if (sections.length === 0) {
+        const embed = new EmbedBuilder()
+            .setTitle('🎴 MTG Card Wants List')
+            .setColor(0x7289DA)
+            .setTimestamp()
+            .setDescription('*No cards wanted yet. Use `/wants add` to add cards!*\n\n*Examples:*\n`/wants add card:Lightning Bolt quantity:2 set:M25`\n`/wants add card:Lightning Bolt set:M25 foil:True`\n\n*You can also combine operations:*\n`/wants bulk +1 Lightning Bolt (M25, foil) -2 Opt`');
+        return [[embed]];
+    }
 
-    // Sort users by username
-    const sortedUsers = Array.from(userWants.entries()).sort(([,a], [,b]) => 
-        a.username.localeCompare(b.username)
-    );
+    const totalSpecs = sections.reduce((sum, section) => sum + section.specs, 0);
+    const totalQuantity = sections.reduce((sum, section) => sum + section.quantity, 0);
+    const serverTotal = formatPriceTotals({
+        USD: sections.reduce((sum, section) => sum + section.totals.USD, 0),
+        EUR: sections.reduce((sum, section) => sum + section.totals.EUR, 0)
+    });
 
-    for (const [userId, userData] of sortedUsers) {
-        if (userData.cards.size === 0) continue;
+    const descriptions = createBoardDescriptions(sections);
+    const embeds = descriptions.map((description, index) => {
+        const embed = new EmbedBuilder()
+            .setColor(0x7289DA)
+            .setDescription(description);
 
-        // Group cards by name, then show different specifications
-        const cardGroups = new Map();
-        
-        for (const [cardKey, quantity] of userData.cards.entries()) {
-            const keyInfo = parseCardKey(cardKey);
-            
-            if (!cardGroups.has(keyInfo.cardName)) {
-                cardGroups.set(keyInfo.cardName, []);
-            }
-            
-            cardGroups.get(keyInfo.cardName).push({
-                setCode: keyInfo.setCode,
-                foil: keyInfo.foil,
-                quantity: quantity
-            });
+        if (index === 0) {
+            embed.setTitle(descriptions.length > 1 ? `🎴 MTG Card Wants List (1/${descriptions.length})` : '🎴 MTG Card Wants List');
+        } else {
+            embed.setTitle(`🎴 MTG Card Wants List (${index + 1}/${descriptions.length})`);
         }
 
-        const cardLines = [];
-        for (const [cardName, specs] of cardGroups.entries()) {
-            // Sort specs by set, then by foil
-            specs.sort((a, b) => {
-                if (a.setCode !== b.setCode) {
-                    if (!a.setCode) return 1;
-                    if (!b.setCode) return -1;
-                    return a.setCode.localeCompare(b.setCode);
-                }
-                return a.foil - b.foil;
+        if (index === descriptions.length - 1) {
+            embed.setTimestamp().setFooter({ 
+                text: `${totalSpecs} card specifications (${totalQuantity} total copies)${serverTotal ? ` | Server total: ${serverTotal}` : ''} | Powered by Scryfall API` 
             });
-            
-            for (const spec of specs) {
-                const display = formatCardDisplay(cardName, spec.setCode, spec.foil);
-                cardLines.push(`• ${spec.quantity}x ${display}`);
-                totalQuantity += spec.quantity;
-            }
         }
 
-        cardLines.sort();
-        const cardList = cardLines.join('\n');
-
-        description += `**${userData.username}:**\n${cardList}\n\n`;
-        totalSpecs += userData.cards.size;
-    }
+        return embed;
+    });
 
-    if (description) {
-        // Truncate description if too long for Discord embed limit
-        if (description.length > 4000) {
-            description = description.substring(0, 3900) + '\n\n*...list truncated due to length*';
+    // Pack embeds into messages
+    const messages = [];
+    let current = [];
+    let currentLength = 0;
+    for (const embed of embeds) {
+        const length = embedLength(embed);
+        if (current.length > 0 && (current.length >= MESSAGE_EMBED_LIMIT || currentLength + length > EMBED_TOTAL_LIMIT)) {
+            messages.push(current);
+            current = [];
+            currentLength = 0;
         }
-        
-        embed.setDescription(description.trim());
-        embed.setFooter({ 
-            text: `${totalSpecs} card specifications (${totalQuantity} total copies) | Powered by Scryfall API` 
-        });
-    } else {
-        embed.setDescription('*No cards wanted yet. Use `/wants + [number] [card name]` to add cards!*');
+        current.push(embed);
+        currentLength += length;
     }
+    messages.push(current);
 
-    return embed;
+    return messages;
 }
 
-async function showHelp(interaction) {
+async function showHelp(interaction, data) {
     const embed = new EmbedBuilder()
         .setTitle('🎴 MTG Wants Bot Commands')
         .setColor(0x7289DA)
         .addFields(
             {
                 name: '➕ Add Cards',
-                value: '`/wants + [number] [card name]`\n`/wants + [number] [card name] ([set])`\n`/wants + [number] [card name] ([set], foil)`\n`/wants + [number] [card name] (foil)`\n\nExamples:\n`/wants + 2 Lightning Bolt`\n`/wants + 1 Lightning Bolt (M25, foil)`\n`/wants + 3 Lightning Bolt (foil)`',
+                value: '`/wants add card:[card] quantity:[number] set:[set] foil:[true/false]`\nCard and set names autocomplete as you type. Only `card` is required.\n\nExamples:\n`/wants add card:Lightning Bolt quantity:2`\n`/wants add card:Lightning Bolt set:M25 foil:True`\n`/wants add card:Force of Will set:EMA alert_price:80`',
                 inline: false
             },
             {
                 name: '➖ Remove Cards',
-                value: '`/wants - [number] [card name]`\nSame format as adding. Examples:\n`/wants - 1 Lightning Bolt (M25, foil)`\n`/wants - 2 Lightning Bolt`',
+                value: '`/wants remove card:[card] quantity:[number] set:[set] foil:[true/false]`\nSame options as adding. Example:\n`/wants remove card:Lightning Bolt set:M25 foil:True`',
                 inline: false
             },
             {
                 name: '🔄 Multiple Operations',
-                value: 'Combine multiple operations in one command:\n`/wants +1 Lightning Bolt (M25, foil) -2 Opt +4 Island`\n`/wants +2 Force of Will (foil) -1 Brainstorm (EMA)`',
+                value: 'Combine multiple operations in one command:\n`/wants bulk +1 Lightning Bolt (M25, foil) -2 Opt +4 Island`\n`/wants bulk +2 Force of Will (foil) -1 Brainstorm (EMA)`\nThe quantity defaults to 1 and `2x` works too. Only the last group in parentheses is the set and options, so quote names that end in parentheses: `+1 "Erase (Not the Urza\'s Legacy One)" (UNH)`',
                 inline: false
             },
             {
-                name: '🗑️ Clear All Cards',
-                value: '`/wants clear`\nRemoves all cards from your wants list',
+                name: '📋 Your List',
+                value: '`/wants list` shows your wants list\n`/wants clear` removes all cards from your wants list (after a confirmation)\n`/wants history` shows your recent changes, `/wants undo` reverts the last one\n`/wants priority card:[card] level:[1-5]` marks how much you want a card\n`/wants reorder card:[card] position:[number]` moves it up or down your list',
                 inline: false
             },
             {
-                name: '📋 Set Specifications',
-                value: 'You can specify sets by:\n• **Set code**: `(M25)`, `(EMA)`, `(2XM)`\n• **Set name**: `(Masters 25)`, `(Eternal Masters)`\n• **Mixed**: `(Masters 25, foil)` or `(M25, foil)`\n• **Foil only**: `(foil)`',
+                name: '🗂️ Named Lists',
+                value: '`/wants lists action:create name:cube` makes a separate list, `rename` and `delete` work the same way\nAdd to it with `/wants add card:Opt list:cube` or `/wants bulk @cube +1 Opt -1 Island`\n`/wants list list:cube` shows only that list',
+                inline: false
+            },
+            {
+                name: '🔎 Find Buyers',
+                value: '`/wants who card:[card]` lists everyone who wants any printing of a card\n`/wants view user:[@user]` shows one member\'s wants and haves\n`/wants browse format:modern query:t:creature c:g` searches everyone\'s wants by format, colors, rarity, set or a Scryfall-style query',
+                inline: false
+            },
+            {
+                name: '📥 Import Decklists',
+                value: '`/wants import file:[decklist]` with a `.txt` or `.dek` file\nArena, MTGO, Moxfield and plain `4x Card Name` lists are supported. Set `sideboard:True` to include sideboard cards.\nOr paste lines: `/wants import text:4 Lightning Bolt; 2 Opt (ELD)`',
+                inline: false
+            },
+            {
+                name: '📤 Export Lists',
+                value: '`/wants export format:[format] user:[@user] all:[true/false] list:[list]`\nSends the list as a file, e.g. `/wants export format:TCGplayer Mass Entry` or `/wants export format:CSV all:True` for the whole server. Deck formats hold one list, main unless `list` picks another',
+                inline: false
+            },
+            {
+                name: '📦 Haves & Trade Matches',
+                value: 'List cards you can trade away with the bulk syntax:\n`/wants haves +2 Lightning Bolt (M25) -1 Opt`\n`/wants haves` shows your list, `/wants haves clear` empties it\n\n`/wants matches` shows who has cards you want and who wants cards you have',
+                inline: false
+            },
+            {
+                name: '📋 Set Specifications (bulk)',
+                value: 'You can specify sets by:\n• **Set code**: `(M25)`, `(EMA)`, `(2XM)`\n• **Set name**: `(Masters 25)`, `(Eternal Masters)`\n• **Mixed**: `(Masters 25, foil)` or `(M25, foil)`\n• **Foil only**: `(foil)`\n• **Collector number**: `(SLD, 123)`\n• **Finish**: `(nonfoil)`, `(foil)` or `(etched)`\n• **Frame/promo**: `(showcase)`, `(extendedart)`, `(borderless)`, `(retro)`, `(promo)`\n• **Condition/language**: `(LP, ja)` for Japanese, Lightly Played or better\n• **Priority**: `(high)`, `(low)` or `(p1)` to `(p5)`, 1 is the most wanted\n• **Price alert**: `(EMA, foil, <=80)` DMs you when the price drops to $80 or less',
                 inline: false
             },
             {
                 name: '🔍 How it works',
-                value: 'The bot validates all card names and sets using the Scryfall API. Card names are fuzzy-matched, so "bolt" will find "Lightning Bolt". Each different combination of card/set/foil is tracked separately.\n\nYou can want up to 50 different card specifications, 99 copies each.',
+                value: `The bot validates all card names and sets using the Scryfall API. Card names are fuzzy-matched, so "bolt" will find "Lightning Bolt". Each different combination of card, set, collector number and finish is tracked separately.\n\nYou can want up to ${data.config.maxSpecs} different card specifications${data.config.limitScope === 'list' ? ' in each list' : ''}, ${data.config.maxCopies} copies each.`,
                 inline: false
             }
         )
@@ -919,22 +4994,47 @@ async function showHelpLegacy(message) {
             },
             {
                 name: '🔄 Multiple Operations',
-                value: 'Combine multiple operations in one command:\n`!wants +1 Lightning Bolt (M25, foil) -2 Opt +4 Island`\n`!wants +2 Force of Will (foil) -1 Brainstorm (EMA)`',
+                value: 'Combine multiple operations in one command:\n`!wants +1 Lightning Bolt (M25, foil) -2 Opt +4 Island`\n`!wants +2 Force of Will (foil) -1 Brainstorm (EMA)`\nOr put one card per line, e.g. `2x Opt` or `Fire // Ice`; lines without a sign are added. Quote names that end in parentheses, e.g. `+1 "Erase (Not the Urza\'s Legacy One)"`.',
                 inline: false
             },
             {
                 name: '🗑️ Clear All Cards',
-                value: '`!wants clear`\nRemoves all cards from your wants list',
+                value: '`!wants clear`\nRemoves all cards from your wants list (after a confirmation)\n`!wants list` shows your wants list\n`!wants history` shows your recent changes, `!wants undo` reverts the last one',
+                inline: false
+            },
+            {
+                name: '🗂️ Named Lists',
+                value: '`!wants lists create cube`, `!wants lists rename cube vintage`, `!wants lists delete cube`\n`!wants @cube +1 Opt -1 Island` changes that list, `!wants list cube` shows it',
+                inline: false
+            },
+            {
+                name: '🔎 Find Buyers',
+                value: '`!wants who [card name]` lists everyone who wants any printing of a card\n`!wants view @user` shows one member\'s wants and haves\n`!wants browse f:modern t:creature c:g` searches everyone\'s wants with a Scryfall-style query',
+                inline: false
+            },
+            {
+                name: '📥 Import Decklists',
+                value: '`!wants import` with a `.txt` or `.dek` decklist attached to your message\nArena, MTGO, Moxfield and plain `4x Card Name` lists are supported. Add `--sideboard` to include sideboard cards.\nOr paste lines: `!wants import 4 Lightning Bolt; 2 Opt (ELD)`',
+                inline: false
+            },
+            {
+                name: '📤 Export Lists',
+                value: '`!wants export [csv|arena|mtgo|moxfield|tcgplayer|text] [@user|all] [@list]`\nSends the list as a file, e.g. `!wants export tcgplayer @cube` for a TCGplayer Mass Entry list of your cube list or `!wants export csv all` for the whole server',
+                inline: false
+            },
+            {
+                name: '📦 Haves & Trade Matches',
+                value: 'List cards you can trade away with the same syntax:\n`!wants haves +2 Lightning Bolt (M25) -1 Opt`\n`!wants haves` shows your list, `!wants haves clear` empties it\n\n`!wants matches` shows who has cards you want and who wants cards you have',
                 inline: false
             },
             {
                 name: '📋 Set Specifications',
-                value: 'You can specify sets by:\n• **Set code**: `(M25)`, `(EMA)`, `(2XM)`\n• **Set name**: `(Masters 25)`, `(Eternal Masters)`\n• **Mixed**: `(Masters 25, foil)` or `(M25, foil)`\n• **Foil only**: `(foil)`',
+                value: 'You can specify sets by:\n• **Set code**: `(M25)`, `(EMA)`, `(2XM)`\n• **Set name**: `(Masters 25)`, `(Eternal Masters)`\n• **Mixed**: `(Masters 25, foil)` or `(M25, foil)`\n• **Foil only**: `(foil)`\n• **Collector number**: `(SLD, 123)`\n• **Finish**: `(nonfoil)`, `(foil)` or `(etched)`\n• **Frame/promo**: `(showcase)`, `(extendedart)`, `(borderless)`, `(retro)`, `(promo)`\n• **Condition/language**: `(LP, ja)` for Japanese, Lightly Played or better\n• **Priority**: `(high)`, `(low)` or `(p1)` to `(p5)`, 1 is the most wanted\n• **Price alert**: `(EMA, foil, <=80)` DMs you when the price drops to $80 or less',
                 inline: false
             },
             {
                 name: '🔍 How it works',
-                value: 'The bot validates all card names and sets using the Scryfall API. Card names are fuzzy-matched. Each different combination of card/set/foil is tracked separately.',
+                value: 'The bot validates all card names and sets using the Scryfall API. Card names are fuzzy-matched. Each different combination of card, set, collector number and finish is tracked separately.',
                 inline: false
             }
         )
@@ -943,22 +5043,44 @@ async function showHelpLegacy(message) {
     await message.reply({ embeds: [embed] });
 }
 
-// Login with your bot token
-const token = process.env.BOT_TOKEN;
-client.login(token);
+// Started directly the bot connects; tests load the file for its functions only
+if (require.main === module) {
+    // Load saved lists and caches before connecting; an event that arrives during login
+    // would otherwise see empty state and save it over the data file
+    loadServerData();
+    cardCache.load();
+    setCache.load();
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Shutting down bot...');
-    client.destroy();
-    process.exit(0);
-});
+    // Login with your bot token
+    const token = process.env.BOT_TOKEN;
+    client.login(token);
 
-process.on('unhandledRejection', error => {
-    console.error('Unhandled promise rejection:', error);
-});
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('Shutting down bot...');
+        saveCaches();
+        client.destroy();
+        process.exit(0);
+    });
 
-process.on('uncaughtException', error => {
-    console.error('Uncaught exception:', error);
-    process.exit(1);
-});
+    process.on('unhandledRejection', error => {
+        console.error('Unhandled promise rejection:', error);
+    });
+
+    process.on('uncaughtException', error => {
+        console.error('Uncaught exception:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    getGuildData,
+    parseCardKey,
+    handleMultipleOperations,
+    handleImportCommand,
+    buildExport,
+    handleBrowse,
+    handleClearWants,
+    handleUndo,
+    handleListsCommand
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bounded LRU cache with per-entry expiry, optionally persisted to a JSON file between restarts.
+// Map iteration order is insertion order, so re-inserting on every hit keeps the least
+// recently used entry first and that is the one evicted when the cache is full.
+function createCache({ name, maxSize = 1000, ttl = 24 * 60 * 60 * 1000, file = null }) {
+    const entries = new Map(); // key -> { value, expiresAt }
+    const stats = { hits: 0, misses: 0, negativeHits: 0, evictions: 0 };
+    let dirty = false;
+
+    function isExpired(entry) {
+        return entry.expiresAt <= Date.now();
+    }
+
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry || isExpired(entry)) {
+            if (entry) {
+                entries.delete(key);
+                dirty = true;
+            }
+            stats.misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used end
+        entries.delete(key);
+        entries.set(key, entry);
+
+        stats.hits++;
+        if (entry.value && entry.value.notFound) stats.negativeHits++;
+        return entry.value;
+    }
+
+    // Read without touching the LRU order or the counters
+    function peek(key) {
+        const entry = entries.get(key);
+        return entry && !isExpired(entry) ? entry.value : undefined;
+    }
+
+    function set(key, value, entryTtl = ttl) {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + entryTtl });
+
+        while (entries.size > maxSize) {
+            entries.delete(entries.keys().next().value);
+            stats.evictions++;
+        }
+
+        dirty = true;
+    }
+
+    function has(key) {
+        return peek(key) !== undefined;
+    }
+
+    function remove(key) {
+        dirty = entries.delete(key) || dirty;
+    }
+
+    function clear() {
+        entries.clear();
+        dirty = true;
+    }
+
+    function* values() {
+        for (const entry of entries.values()) {
+            if (!isExpired(entry)) yield entry.value;
+        }
+    }
+
+    function getStats() {
+        const lookups = stats.hits + stats.misses;
+        return {
+            name,
+            size: entries.size,
+            maxSize,
+            ttl,
+            ...stats,
+            hitRate: lookups > 0 ? stats.hits / lookups : 0
+        };
+    }
+
+    function load() {
+        if (!file || !fs.existsSync(file)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const now = Date.now();
+
+            entries.clear();
+            for (const [key, entry] of saved.entries || []) {
+                if (entry.expiresAt > now) {
+                    entries.set(key, entry);
+                }
+            }
+
+            // The limit may have been lowered since the file was written
+            while (entries.size > maxSize) {
+                entries.delete(entries.keys().next().value);
+            }
+
+            console.log(`Loaded ${entries.size} ${name} cache entries from ${file}`);
+        } catch (error) {
+            console.error(`Could not load ${name} cache, starting empty:`, error.message);
+        }
+    }
+
+    // Write to a temp file, then rename over the old one
+    function save() {
+        if (!file || !dirty) return;
+
+        try {
+            const tempFile = `${file}.tmp`;
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(tempFile, JSON.stringify({ savedAt: new Date().toISOString(), entries: Array.from(entries.entries()) }));
+            fs.renameSync(tempFile, file);
+            dirty = false;
+        } catch (error) {
+            console.error(`Error saving ${name} cache:`, error.message);
+        }
+    }
+
+    return { get, peek, set, has, delete: remove, clear, values, getStats, load, save };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,360 @@
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+
+// Local card index built from Scryfall's default_cards bulk data file, which has every printing;
+// oracle_cards has one printing per card, too few for printing choices, finish checks and reprints.
+// Lookups throw the same 'Not found' / 'Ambiguous name' errors as the live API so callers
+// can treat both the same way, and 'Ambiguous set' for a set name that fits several sets.
+let index = null; // { printings: Map, names: Map, numbers: Map, sets: Map, setNames: Map, loadedAt: number }
+
+const DOWNLOAD_IDLE_TIMEOUT = 60 * 1000; // give up on a download when no data arrives for this long
+
+// Lowercase, drop accents and punctuation so "Lim-Dûl's Vault" matches "lim duls vault"
+function normalizeName(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9/]+/g, ' ')
+        .trim();
+}
+
+// Keep only the fields the bot uses, the full objects are far too large to hold in memory
+function slimCard(card) {
+    const prices = card.prices || {};
+    // Double-faced cards only have images on their faces
+    const imageUris = card.image_uris || (card.card_faces && card.card_faces[0].image_uris) || null;
+    return {
+        object: 'card',
+        id: card.id,
+        name: card.name,
+        set: card.set,
+        set_name: card.set_name,
+        collector_number: card.collector_number,
+        released_at: card.released_at,
+        lang: card.lang,
+        digital: card.digital || false,
+        finishes: card.finishes || [],
+        promo: card.promo || false,
+        frame: card.frame || null,
+        frame_effects: card.frame_effects || [],
+        border_color: card.border_color || null,
+        type_line: card.type_line || (card.card_faces ? card.card_faces.map(face => face.type_line).join(' // ') : ''),
+        mana_cost: card.mana_cost !== undefined ? card.mana_cost : (card.card_faces ? card.card_faces.map(face => face.mana_cost).join(' // ') : ''),
+        scryfall_uri: card.scryfall_uri || null,
+        image_uris: imageUris ? { small: imageUris.small, normal: imageUris.normal } : null,
+        cmc: card.cmc,
+        colors: card.colors || (card.card_faces ? Array.from(new Set(card.card_faces.flatMap(face => face.colors || []))) : []),
+        color_identity: card.color_identity || [],
+        rarity: card.rarity || null,
+        // Only the formats a card is playable in, most entries are "not_legal"
+        legalities: Object.fromEntries(Object.entries(card.legalities || {}).filter(([, status]) => status === 'legal' || status === 'restricted')),
+        prices: {
+            usd: prices.usd || null,
+            usd_foil: prices.usd_foil || null,
+            eur: prices.eur || null,
+            usd_etched: prices.usd_etched || null,
+            eur_foil: prices.eur_foil || null
+        }
+    };
+}
+
+// Stream the top-level JSON array one object at a time instead of parsing hundreds of MB at once
+function parseJsonArrayStream(stream, onItem) {
+    return new Promise((resolve, reject) => {
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        let buffer = '';
+
+        stream.setEncoding('utf8');
+
+        stream.on('data', (chunk) => {
+            let start = depth > 1 ? 0 : -1;
+
+            for (let i = 0; i < chunk.length; i++) {
+                const ch = chunk[i];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (ch === '\\') {
+                        escaped = true;
+                    } else if (ch === '"') {
+                        inString = false;
+                    }
+                    continue;
+                }
+
+                if (ch === '"') {
+                    inString = true;
+                } else if (ch === '{' || ch === '[') {
+                    depth++;
+                    if (depth === 2) start = i;
+                } else if (ch === '}' || ch === ']') {
+                    depth--;
+                    if (depth === 1 && start !== -1) {
+                        buffer += chunk.slice(start, i + 1);
+                        try {
+                            onItem(JSON.parse(buffer));
+                        } catch (error) {
+                            stream.destroy();
+                            return reject(new Error(`Invalid card in bulk data: ${error.message}`));
+                        }
+                        buffer = '';
+                        start = -1;
+                    }
+                }
+            }
+
+            if (start !== -1) {
+                buffer += chunk.slice(start);
+            }
+        });
+
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+}
+
+function addName(names, name, id) {
+    const normalized = normalizeName(name);
+    if (!names.has(normalized)) {
+        names.set(normalized, { name, printings: [] });
+    }
+    const entry = names.get(normalized);
+    if (!entry.printings.includes(id)) {
+        entry.printings.push(id);
+    }
+}
+
+// Build the index from a bulk data file on disk
+async function load(file) {
+    const printings = new Map();
+    const names = new Map();
+    const numbers = new Map(); // set|collector number -> id
+    const sets = new Map();
+    const setNames = new Map();
+
+    await parseJsonArrayStream(fs.createReadStream(file), (card) => {
+        if (card.object !== 'card' || !card.name || card.layout === 'art_series' || card.layout === 'token') return;
+
+        const slim = slimCard(card);
+        printings.set(slim.id, slim);
+        numbers.set(`${slim.set}|${slim.collector_number}`.toLowerCase(), slim.id);
+
+        // Split and double-faced cards can also be found by the name of either face
+        addName(names, slim.name, slim.id);
+        if (slim.name.includes(' // ')) {
+            for (const face of slim.name.split(' // ')) {
+                addName(names, face, slim.id);
+            }
+        }
+
+        if (!sets.has(slim.set)) {
+            sets.set(slim.set, { code: slim.set, name: slim.set_name });
+            setNames.set((slim.set_name || slim.set).toLowerCase(), slim.set);
+        }
+    });
+
+    // Face names point at the full card name
+    for (const entry of names.values()) {
+        entry.name = printings.get(entry.printings[0]).name;
+    }
+
+    index = { printings, names, numbers, sets, setNames, loadedAt: Date.now() };
+    console.log(`Loaded offline card index: ${printings.size} printings, ${names.size} names, ${sets.size} sets`);
+}
+
+function isLoaded() {
+    return index !== null;
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Find the name entry for a fuzzy name, like Scryfall's /cards/named?fuzzy
+function findName(cardName) {
+    const query = normalizeName(cardName);
+    if (!query) throw new Error('Not found');
+
+    const exact = index.names.get(query);
+    if (exact) return exact;
+
+    // Every word of the query starts a word of the name ("bolt lightning", "jace mind sculptor"),
+    // so short queries don't match letters in the middle of unrelated names
+    const words = query.split(' ');
+    const partial = new Map();
+    for (const [normalized, entry] of index.names.entries()) {
+        const nameWords = normalized.split(' ');
+        if (words.every(word => nameWords.some(nameWord => nameWord.startsWith(word)))) {
+            partial.set(entry.name, entry);
+        }
+    }
+
+    if (partial.size === 1) return partial.values().next().value;
+    if (partial.size > 1) {
+        const prefixed = Array.from(partial.entries()).filter(([name]) => normalizeName(name).startsWith(query));
+        if (prefixed.length === 1) return prefixed[0][1];
+        throw new Error('Ambiguous name');
+    }
+
+    // Typos: the closest name within a small edit distance
+    const maxDistance = Math.max(1, Math.floor(query.length / 4));
+    let best = null;
+    let bestDistance = Infinity;
+    let tied = false;
+
+    for (const [normalized, entry] of index.names.entries()) {
+        if (Math.abs(normalized.length - query.length) > maxDistance) continue;
+
+        const distance = levenshtein(query, normalized);
+        if (distance < bestDistance) {
+            best = entry;
+            bestDistance = distance;
+            tied = false;
+        } else if (distance === bestDistance && entry.name !== best.name) {
+            tied = true;
+        }
+    }
+
+    if (!best || bestDistance > maxDistance) throw new Error('Not found');
+    if (tied) throw new Error('Ambiguous name');
+    return best;
+}
+
+// Prefer the newest English paper printing, like the live API does
+function pickDefaultPrinting(printings) {
+    const sorted = printings.slice().sort((a, b) => (b.released_at || '').localeCompare(a.released_at || ''));
+    return sorted.find(card => card.lang === 'en' && !card.digital) || sorted[0];
+}
+
+// Card lookup by fuzzy name and optional set code or set name
+function findCard(cardName, setIdentifier = null) {
+    const entry = findName(cardName);
+    let printings = entry.printings.map(id => index.printings.get(id));
+
+    if (setIdentifier) {
+        const set = findSet(setIdentifier);
+        printings = set ? printings.filter(card => card.set === set.code) : [];
+        if (printings.length === 0) throw new Error('Not found');
+    }
+
+    return pickDefaultPrinting(printings);
+}
+
+// Every printing of an exact card name, oldest first
+function getPrintings(cardName) {
+    const entry = index.names.get(normalizeName(cardName));
+    if (!entry) return [];
+
+    return entry.printings
+        .map(id => index.printings.get(id))
+        .sort((a, b) => (a.released_at || '').localeCompare(b.released_at || ''));
+}
+
+// The printing with a given set code and collector number, like /cards/:set/:number
+function findPrinting(setCode, collectorNumber) {
+    const id = index.numbers.get(`${setCode}|${collectorNumber}`.toLowerCase());
+    return id ? index.printings.get(id) : null;
+}
+
+// Resolve a set code or set name to { code, name }
+function findSet(setIdentifier) {
+    const query = setIdentifier.trim().toLowerCase();
+
+    if (index.sets.has(query)) return index.sets.get(query);
+    if (index.setNames.has(query)) return index.sets.get(index.setNames.get(query));
+
+    // Part of a name only counts when one set has it, "core" or "m" would be a guess
+    const partial = Array.from(index.setNames.entries()).filter(([name]) => name.includes(query));
+    if (partial.length > 1) throw new Error('Ambiguous set');
+    return partial.length === 1 ? index.sets.get(partial[0][1]) : null;
+}
+
+// Exact set code only, unlike findSet
+function hasSet(setCode) {
+    return Boolean(index) && index.sets.has(setCode.toLowerCase());
+}
+
+function getSets() {
+    return index ? Array.from(index.sets.values()) : [];
+}
+
+// Download a file, following redirects, and move it into place once complete
+function download(url, destination, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        const request = https.get(url, {
+            headers: { 'User-Agent': 'MTG-Discord-Bot/1.0', 'Accept': '*/*' }
+        }, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                return download(new URL(res.headers.location, url).toString(), destination, redirects - 1).then(resolve, reject);
+            }
+
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`HTTP ${res.statusCode} while downloading bulk data`));
+            }
+
+            fs.mkdirSync(path.dirname(destination), { recursive: true });
+            const tempFile = `${destination}.tmp`;
+            const out = fs.createWriteStream(tempFile);
+
+            // Drop the partial file so a failed download is never loaded
+            const fail = (error) => {
+                out.destroy();
+                fs.rm(tempFile, { force: true }, () => reject(new Error(`Failed to download bulk data: ${error.message}`)));
+            };
+
+            res.pipe(out);
+            out.on('finish', () => {
+                out.close(() => {
+                    try {
+                        fs.renameSync(tempFile, destination);
+                        resolve();
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            });
+            out.on('error', fail);
+            res.on('error', fail);
+            res.on('aborted', () => fail(new Error('connection closed')));
+        });
+
+        // A stalled connection would otherwise keep the refresh running forever
+        request.setTimeout(DOWNLOAD_IDLE_TIMEOUT, () => {
+            request.destroy(new Error(`no data for ${DOWNLOAD_IDLE_TIMEOUT / 1000}s`));
+        });
+        request.on('error', (error) => reject(new Error(`Failed to download bulk data: ${error.message}`)));
+    });
+}
+
+module.exports = {
+    normalizeName,
+    load,
+    isLoaded,
+    findCard,
+    findSet,
+    hasSet,
+    findPrinting,
+    getPrintings,
+    getSets,
+    download
+};
@@ -0,0 +1,185 @@
+// Parser and matcher for a small subset of Scryfall's search syntax, used by /wants browse, e.g.
+//   t:creature c:g
+//   f:modern r>=rare -t:land
+//   id<=wu mv<=3 "lightning"
+// Terms are combined with AND, a leading "-" negates a term and bare words match the card name.
+// Cards are matched against the metadata the bot stores with each want (see extractCardMeta in bot.js).
+// Set codes are expected in lowercase, already resolved from any set names.
+
+const COLORS = ['w', 'u', 'b', 'r', 'g'];
+const COLOR_NAMES = { white: 'w', blue: 'u', black: 'b', red: 'r', green: 'g' };
+const RARITIES = ['common', 'uncommon', 'rare', 'mythic', 'special', 'bonus'];
+// Nicknames for Scryfall's format names
+const FORMAT_ALIASES = { edh: 'commander', cmdr: 'commander', pdh: 'paupercommander' };
+
+// Keyword spellings -> the field they search
+const KEYWORDS = {
+    t: 'type', type: 'type',
+    c: 'color', color: 'color', colors: 'color',
+    id: 'identity', identity: 'identity', ci: 'identity',
+    r: 'rarity', rarity: 'rarity',
+    s: 'set', set: 'set', e: 'set', edition: 'set',
+    f: 'format', format: 'format', legal: 'format',
+    mv: 'manavalue', cmc: 'manavalue', manavalue: 'manavalue',
+    m: 'mana', mana: 'mana',
+    name: 'name'
+};
+
+// -keyword<op>value, -keyword<op>"quoted value", "quoted name" or a bare word
+const TERM_PATTERN = /(-?)(?:([a-z]+)(:|!=|>=|<=|=|>|<))?(?:"([^"]*)"|(\S+))/gi;
+
+// "wu", "white", "c" (colorless) or "m" (multicolor)
+function parseColors(value) {
+    const lower = value.toLowerCase();
+    if (COLOR_NAMES[lower]) return [COLOR_NAMES[lower]];
+    if (lower === 'c' || lower === 'colorless') return [];
+    if (lower === 'm' || lower === 'multicolor') return 'multicolor';
+    if (!/^[wubrg]+$/.test(lower)) return null;
+    return COLORS.filter(color => lower.includes(color));
+}
+
+function parseRarity(value) {
+    const lower = value.toLowerCase();
+    return RARITIES.find(rarity => rarity === lower || rarity[0] === lower) || null;
+}
+
+function parseTerm(negate, keyword, operator, value) {
+    const field = keyword ? KEYWORDS[keyword.toLowerCase()] : 'name';
+    if (!field) {
+        return { error: `unknown keyword "${keyword}"` };
+    }
+    if (!value) {
+        return { error: `"${keyword}${operator}" needs a value` };
+    }
+
+    const term = { field, operator: operator || ':', negate: negate === '-' };
+    const numeric = ['color', 'identity', 'rarity', 'manavalue'].includes(field);
+    if (!numeric) {
+        if (![':', '=', '!='].includes(term.operator)) {
+            return { error: `"${keyword}" can't be compared with "${operator}"` };
+        }
+        // Text fields only match or don't, so t!=land is the same as -t:land
+        if (term.operator === '!=') {
+            term.negate = !term.negate;
+        }
+        term.operator = ':';
+    }
+
+    if (field === 'color' || field === 'identity') {
+        term.value = parseColors(value);
+        if (term.value === null) return { error: `"${value}" is not a color, use e.g. wu, green or c for colorless` };
+    } else if (field === 'rarity') {
+        term.value = parseRarity(value);
+        if (!term.value) return { error: `"${value}" is not a rarity, use common, uncommon, rare or mythic` };
+    } else if (field === 'manavalue') {
+        term.value = Number(value);
+        if (!Number.isFinite(term.value)) return { error: `"${value}" is not a number` };
+    } else if (field === 'format') {
+        term.value = FORMAT_ALIASES[value.toLowerCase()] || value.toLowerCase();
+    } else {
+        term.value = value.toLowerCase();
+    }
+
+    return { term };
+}
+
+// Returns { terms, errors } like the operation parser
+function parseCardQuery(query) {
+    const terms = [];
+    const errors = [];
+
+    for (const match of (query || '').matchAll(TERM_PATTERN)) {
+        const [text, negate, keyword, operator, quoted, word] = match;
+        const parsed = parseTerm(negate, keyword, operator, quoted !== undefined ? quoted : word);
+        if (parsed.error) {
+            errors.push({ message: parsed.error, column: match.index + 1, text });
+        } else {
+            terms.push(parsed.term);
+        }
+    }
+
+    return { terms, errors };
+}
+
+function compare(a, b, operator) {
+    switch (operator) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '!=': return a !== b;
+        default: return a === b;
+    }
+}
+
+// Colors compare as sets: c>=ug has at least blue and green, id<=wu fits in an Azorius deck
+function compareColors(cardColors, queryColors, operator) {
+    if (queryColors === 'multicolor') {
+        return operator === '!=' ? cardColors.length <= 1 : cardColors.length > 1;
+    }
+
+    const cardHasAll = queryColors.every(color => cardColors.includes(color));
+    const queryHasAll = cardColors.every(color => queryColors.includes(color));
+    const equal = cardHasAll && queryHasAll;
+
+    switch (operator) {
+        case '=': return equal;
+        case '!=': return !equal;
+        case '>=': return cardHasAll;
+        case '>': return cardHasAll && !equal;
+        case '<=': return queryHasAll;
+        case '<': return queryHasAll && !equal;
+        default: return false;
+    }
+}
+
+function matchesTerm(term, card) {
+    const meta = card.meta || {};
+
+    switch (term.field) {
+        case 'name':
+            return card.cardName.toLowerCase().includes(term.value);
+        case 'type':
+            return (meta.typeLine || '').toLowerCase().includes(term.value);
+        case 'mana':
+            return (meta.manaCost || '').toLowerCase().includes(term.value);
+        case 'set':
+            // A want for any printing counts for every set the card was printed in
+            return card.setCode ? card.setCode === term.value : (card.sets || []).includes(term.value);
+        case 'format':
+            return (meta.legalities || []).includes(term.value);
+        case 'color':
+            if (!meta.colors) return false;
+            // Like Scryfall, c:g means "at least green" and c:c means colorless
+            return compareColors(meta.colors, term.value, term.operator === ':' ? (term.value.length === 0 ? '=' : '>=') : term.operator);
+        case 'identity':
+            if (!meta.colorIdentity) return false;
+            // id:wu means "fits in a white-blue commander deck"
+            return compareColors(meta.colorIdentity, term.value, term.operator === ':' ? '<=' : term.operator);
+        case 'rarity':
+            if (!meta.rarity) return false;
+            return compare(RARITIES.indexOf(meta.rarity), RARITIES.indexOf(term.value), term.operator === ':' ? '=' : term.operator);
+        case 'manavalue':
+            if (meta.cmc === undefined || meta.cmc === null) return false;
+            return compare(meta.cmc, term.value, term.operator === ':' ? '=' : term.operator);
+        default:
+            return false;
+    }
+}
+
+// card: { cardName, setCode, sets, meta }, sets lists the printings' set codes for a want without a set
+function matchesCardQuery(terms, card) {
+    return terms.every(term => matchesTerm(term, card) !== term.negate);
+}
+
+// Whether the terms need stored metadata, names and sets come from the card key itself
+function needsCardMeta(terms) {
+    return terms.some(term => !['name', 'set'].includes(term.field));
+}
+
+module.exports = {
+    RARITIES,
+    parseCardQuery,
+    matchesCardQuery,
+    needsCardMeta
+};
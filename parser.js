@@ -0,0 +1,401 @@
+// Tokenizer and parser for wants operations, e.g.
+//   +2 Lightning Bolt (M25, foil) -1 "Nicol Bolas, Dragon-God"
+//   2x Jace, Vryn's Prodigy // Jace, Telepath Unbound
+//   @cube +1 Opt @modern +4 Lightning Bolt
+// Operations are separated by a + or - sign or by a new line. The sign defaults to +
+// and the quantity to 1. A trailing parenthesised group holds the set and other details.
+// "@name" picks the named list for the operations after it, "@main" goes back to the main list.
+// Nothing here talks to Discord or Scryfall, so it can be exercised on its own.
+
+// Finishes and printing flags a spec can ask for, with the spellings people type
+const FINISHES = ['nonfoil', 'foil', 'etched'];
+const CARD_FLAGS = ['promo', 'showcase', 'extendedart', 'borderless', 'retro'];
+// Best to worst; a want's condition is the minimum it accepts
+const CONDITIONS = ['nm', 'lp', 'mp', 'hp'];
+// Scryfall's language codes
+const LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt', 'ja', 'ko', 'ru', 'zhs', 'zht', 'he', 'la', 'grc', 'ar', 'sa', 'ph'];
+// Priority 1 is the most wanted, 3 is the default
+const PRIORITY_WORDS = { high: 2, normal: 3, low: 4 };
+const SPEC_ALIASES = {
+    'non-foil': 'nonfoil',
+    'etched foil': 'etched',
+    'extended art': 'extendedart',
+    'extended': 'extendedart',
+    'retro frame': 'retro',
+    'near mint': 'nm',
+    'lightly played': 'lp',
+    'moderately played': 'mp',
+    'heavily played': 'hp',
+    'english': 'en',
+    'spanish': 'es',
+    'french': 'fr',
+    'german': 'de',
+    'italian': 'it',
+    'portuguese': 'pt',
+    'japanese': 'ja',
+    'jp': 'ja',
+    'korean': 'ko',
+    'russian': 'ru',
+    'chinese': 'zhs',
+    'zh': 'zhs',
+    'tw': 'zht'
+};
+
+// Named lists are short lowercase words; "main" is the list everyone starts with
+const LIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAIN_LIST = 'main';
+
+// Token types: sign, number, list, string, lparen, rparen, text, newline
+function tokenize(input, { operations = true } = {}) {
+    const tokens = [];
+    const errors = [];
+    let line = 1;
+    let lineStart = 0;
+    let i = 0;
+    // 'start' at the beginning of an operation, 'quantity' after its quantity, 'name' after that
+    let state = 'start';
+
+    const push = (type, start, end, value = input.slice(start, end)) => {
+        tokens.push({ type, value, start, end, line, column: start - lineStart + 1 });
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (ch === '\n') {
+            push('newline', i, i + 1);
+            i++;
+            line++;
+            lineStart = i;
+            state = 'start';
+            continue;
+        }
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const afterSpace = i === 0 || /\s/.test(input[i - 1]);
+
+        // A sign starts a new operation: "+1 Opt", "-Opt", "+ 2 Opt" but not "Dragon-God" or "Ach - Hans".
+        // A sign at the end of a line is one too, so the parser can report the missing card.
+        if (operations && (ch === '+' || ch === '-') && afterSpace && /^[+-](?:\s*\d|[^\s\d]|[^\S\n]*(?:\n|$))/.test(input.slice(i, i + 40))) {
+            push('sign', i, i + 1);
+            i++;
+            state = 'start';
+            continue;
+        }
+
+        // "@cube" switches the target list and, like a sign, ends the operation before it
+        if (operations && ch === '@' && afterSpace) {
+            const listMatch = input.slice(i).match(/^@(\S+?)(?=\s|$)/);
+            if (listMatch && LIST_NAME_PATTERN.test(listMatch[1].toLowerCase())) {
+                push('list', i, i + listMatch[0].length, listMatch[1].toLowerCase());
+                i += listMatch[0].length;
+                state = 'start';
+                continue;
+            }
+        }
+
+        if (operations && state === 'start') {
+            const quantityMatch = input.slice(i).match(/^(\d+)[xX]?(?=\s|$)/);
+            if (quantityMatch) {
+                push('number', i, i + quantityMatch[0].length, parseInt(quantityMatch[1]));
+                i += quantityMatch[0].length;
+                state = 'quantity';
+                continue;
+            }
+        }
+
+        // Quotes only delimit a whole name, so Kongming, "Sleeping Dragon" still reads as plain text
+        if (ch === '"' && state !== 'name') {
+            const close = input.indexOf('"', i + 1);
+            const lineEnd = input.indexOf('\n', i) === -1 ? input.length : input.indexOf('\n', i);
+            if (close === -1 || close > lineEnd) {
+                errors.push({ message: 'unterminated quote', line, column: i - lineStart + 1 });
+                i = lineEnd;
+                continue;
+            }
+            push('string', i, close + 1, input.slice(i + 1, close));
+            i = close + 1;
+            state = 'name';
+            continue;
+        }
+
+        if (ch === '(' || ch === ')') {
+            push(ch === '(' ? 'lparen' : 'rparen', i, i + 1);
+            i++;
+            state = 'name';
+            continue;
+        }
+
+        let end = i;
+        while (end < input.length && !/[\s()]/.test(input[end])) {
+            end++;
+        }
+        push('text', i, end);
+        i = end;
+        state = 'name';
+    }
+
+    return { tokens, errors };
+}
+
+function emptySpec() {
+    return { setCode: null, collectorNumber: null, finish: null, flags: [], condition: null, language: null, priority: null, maxPrice: null, maxPriceCurrency: null };
+}
+
+// Read the comma-separated details inside a spec group, e.g. "M25, foil, <=80" or "SLD, 123, etched, LP, ja".
+// isSetCode tells which words are real set codes: a set code that is also a condition or language
+// ("HE", "MP") is read as the set when no set came before it; "lang:he" and "cond:mp" always mean the detail.
+function parseSpecItems(input, group, isSetCode = () => false) {
+    const spec = emptySpec();
+    const errors = [];
+    const text = input.slice(group.start, group.end);
+    const itemRegex = /[^,]+/g;
+    let match;
+
+    while ((match = itemRegex.exec(text)) !== null) {
+        const typed = match[0].trim().toLowerCase();
+        if (!typed) continue;
+
+        const prefixMatch = typed.match(/^(lang|cond):\s*(.+)$/);
+        const word = prefixMatch ? prefixMatch[2] : typed;
+        // "LP+" reads the same as "LP", conditions are always a minimum
+        const item = SPEC_ALIASES[word] || (CONDITIONS.includes(word.replace(/\+$/, '')) ? word.replace(/\+$/, '') : word);
+        const column = group.column + match.index + (match[0].length - match[0].trimStart().length);
+
+        if (prefixMatch && !(prefixMatch[1] === 'lang' ? LANGUAGES : CONDITIONS).includes(item)) {
+            const kind = prefixMatch[1] === 'lang' ? 'language' : 'condition';
+            errors.push({ message: `"${prefixMatch[2]}" is not a ${kind}`, line: group.line, column });
+            continue;
+        }
+        const setFirst = !prefixMatch && !spec.setCode && (CONDITIONS.includes(item) || LANGUAGES.includes(item)) && isSetCode(typed);
+        const priceMatch = item.match(/^<=\s*([$€]?)\s*(\d+(?:\.\d+)?)$/);
+        const priorityMatch = item.match(/^(?:p|prio|priority)\s*([1-5])$/);
+        // Collector numbers look like 123, 123a, 45★ or #123; a bare number only counts after the set
+        const numberMatch = item.match(/^#\s*(\S+)$/) || (spec.setCode ? item.match(/^(\d+[a-z★†]?)$/) : null);
+
+        if (FINISHES.includes(item)) {
+            if (spec.finish) {
+                errors.push({ message: `only one finish can be given, found "${spec.finish}" and "${item}"`, line: group.line, column });
+            }
+            spec.finish = item;
+        } else if (PRIORITY_WORDS[item] || priorityMatch) {
+            // "high", "low", "p1" or "priority 5"
+            const priority = PRIORITY_WORDS[item] || parseInt(priorityMatch[1]);
+            if (spec.priority) {
+                errors.push({ message: `only one priority can be given, found ${spec.priority} and ${priority}`, line: group.line, column });
+            }
+            spec.priority = priority;
+        } else if (CARD_FLAGS.includes(item)) {
+            if (!spec.flags.includes(item)) spec.flags.push(item);
+        } else if (CONDITIONS.includes(item) && !setFirst) {
+            if (spec.condition) {
+                errors.push({ message: `only one condition can be given, found "${spec.condition.toUpperCase()}" and "${item.toUpperCase()}"`, line: group.line, column });
+            }
+            spec.condition = item;
+        } else if (LANGUAGES.includes(item) && !setFirst) {
+            if (spec.language) {
+                errors.push({ message: `only one language can be given, found "${spec.language}" and "${item}"`, line: group.line, column });
+            }
+            spec.language = item;
+        } else if (numberMatch) {
+            spec.collectorNumber = numberMatch[1];
+        } else if (priceMatch) {
+            // Price alert threshold, e.g. "<=80" or "<=€80"; dollars unless it says euros
+            spec.maxPrice = parseFloat(priceMatch[2]);
+            spec.maxPriceCurrency = priceMatch[1] === '€' ? 'EUR' : 'USD';
+        } else if (item.startsWith('<')) {
+            errors.push({ message: `"${match[0].trim()}" is not a price, use e.g. <=80`, line: group.line, column });
+        } else if (spec.setCode) {
+            errors.push({ message: `only one set can be given, found "${spec.setCode}" and "${match[0].trim()}"`, line: group.line, column });
+        } else {
+            // Assume it's a set code or set name
+            spec.setCode = item;
+        }
+    }
+
+    if (spec.collectorNumber && !spec.setCode) {
+        errors.push({ message: 'a collector number needs a set, e.g. (SLD, 123)', line: group.line, column: group.column });
+    }
+
+    return { spec, errors };
+}
+
+// Split an operation's tokens into a card name and an optional trailing spec group
+function parseCardTokens(input, tokens, startColumn, line, isSetCode) {
+    const errors = [];
+
+    if (tokens.length === 0) {
+        return { errors: [{ message: 'expected a card name', line, column: startColumn }] };
+    }
+
+    // Parentheses must balance; only a group at the very end is read as the spec
+    const stack = [];
+    const pairs = new Map();
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].type === 'lparen') {
+            stack.push(i);
+        } else if (tokens[i].type === 'rparen') {
+            if (stack.length === 0) {
+                return { errors: [{ message: 'unexpected ")"', line: tokens[i].line, column: tokens[i].column }] };
+            }
+            pairs.set(stack.pop(), i);
+        }
+    }
+    if (stack.length > 0) {
+        const open = tokens[stack[stack.length - 1]];
+        return { errors: [{ message: 'missing ")" for this "("', line: open.line, column: open.column }] };
+    }
+
+    let nameTokens = tokens;
+    let group = null;
+    const last = tokens.length - 1;
+    if (tokens[last].type === 'rparen') {
+        const openIndex = Array.from(pairs.entries()).find(([, close]) => close === last)[0];
+        if (openIndex === 0) {
+            return { errors: [{ message: 'expected a card name before "("', line: tokens[0].line, column: tokens[0].column }] };
+        }
+        nameTokens = tokens.slice(0, openIndex);
+        const open = tokens[openIndex];
+        group = { start: open.end, end: tokens[last].start, line: open.line, column: open.column + 1 };
+    }
+
+    let cardName;
+    if (nameTokens[0].type === 'string') {
+        if (nameTokens.length > 1) {
+            const extra = nameTokens[1];
+            return { errors: [{ message: 'unexpected text after the quoted name', line: extra.line, column: extra.column }] };
+        }
+        cardName = nameTokens[0].value.trim();
+        if (!cardName) {
+            return { errors: [{ message: 'empty card name', line: nameTokens[0].line, column: nameTokens[0].column }] };
+        }
+    } else {
+        // Keep the name exactly as typed, apart from runs of whitespace
+        cardName = input.slice(nameTokens[0].start, nameTokens[nameTokens.length - 1].end).replace(/\s+/g, ' ');
+    }
+
+    let spec = emptySpec();
+    if (group) {
+        const parsedSpec = parseSpecItems(input, group, isSetCode);
+        spec = parsedSpec.spec;
+        errors.push(...parsedSpec.errors);
+    }
+
+    return { card: { cardName, ...spec }, errors };
+}
+
+// Parse a full operations string into
+// [{ operation, quantity, cardName, setCode, collectorNumber, finish, flags, condition, language, priority, maxPrice, maxPriceCurrency, list, line, column }]
+// where list is null for the main list. isSetCode is passed on to the spec groups (see parseSpecItems).
+function parseOperations(input, { isSetCode } = {}) {
+    const { tokens, errors } = tokenize(input);
+    const operations = [];
+    let list = null;
+    // Lines the tokenizer already complained about are not parsed any further
+    const brokenLines = new Set(errors.map(error => error.line));
+    let index = 0;
+
+    while (index < tokens.length) {
+        if (tokens[index].type === 'newline') {
+            index++;
+            continue;
+        }
+
+        if (brokenLines.has(tokens[index].line)) {
+            while (index < tokens.length && tokens[index].type !== 'newline') {
+                index++;
+            }
+            continue;
+        }
+
+        if (tokens[index].type === 'list') {
+            const listToken = tokens[index];
+            list = listToken.value === MAIN_LIST ? null : listToken.value;
+            index++;
+
+            // "+1 Opt @cube" would otherwise drop the list switch without a word
+            let next = index;
+            while (next < tokens.length && tokens[next].type === 'newline') {
+                next++;
+            }
+            if (next === tokens.length || tokens[next].type === 'list') {
+                errors.push({ message: `expected a card after "@${listToken.value}"`, line: listToken.line, column: listToken.column });
+            }
+            continue;
+        }
+
+        const first = tokens[index];
+        let operation = '+';
+        let quantity = 1;
+        let column = first.column;
+
+        if (first.type === 'sign') {
+            operation = first.value;
+            column = first.column + 1;
+            index++;
+        }
+
+        const numberToken = tokens[index] && tokens[index].type === 'number' ? tokens[index] : null;
+        if (numberToken) {
+            quantity = numberToken.value;
+            column = numberToken.column + (numberToken.end - numberToken.start) + 1;
+            if (quantity < 1) {
+                errors.push({ message: 'quantity must be at least 1', line: numberToken.line, column: numberToken.column });
+            }
+            index++;
+        }
+
+        // The card runs until the next sign or the end of the line
+        const cardTokens = [];
+        while (index < tokens.length && !['sign', 'list', 'newline'].includes(tokens[index].type)) {
+            cardTokens.push(tokens[index]);
+            index++;
+        }
+
+        const parsed = parseCardTokens(input, cardTokens, column, first.line, isSetCode);
+        errors.push(...parsed.errors);
+        if (parsed.card && parsed.errors.length === 0 && quantity >= 1) {
+            operations.push({ operation, quantity, ...parsed.card, list, line: first.line, column: first.column });
+        }
+    }
+
+    errors.sort((a, b) => a.line - b.line || a.column - b.column);
+    return { operations, errors };
+}
+
+// Parse a single "Card Name (set, foil)" specification, falling back to the whole text as the name
+function parseCardSpecification(input, { isSetCode } = {}) {
+    input = input.trim();
+    const { tokens, errors } = tokenize(input, { operations: false });
+    const parsed = errors.length === 0 ? parseCardTokens(input, tokens, 1, 1, isSetCode) : null;
+
+    if (!parsed || !parsed.card || parsed.errors.length > 0) {
+        return { cardName: input, ...emptySpec() };
+    }
+
+    return parsed.card;
+}
+
+// Show a parse error with the offending line and a caret under the column
+function formatParseError(input, error, multiline = input.includes('\n')) {
+    const sourceLine = input.split('\n')[error.line - 1] || '';
+    const location = multiline ? `Line ${error.line}, column ${error.column}` : `Column ${error.column}`;
+    return `❌ ${location}: ${error.message}\n\`\`\`\n${sourceLine}\n${' '.repeat(Math.max(0, error.column - 1))}^\n\`\`\``;
+}
+
+module.exports = {
+    FINISHES,
+    CARD_FLAGS,
+    CONDITIONS,
+    LANGUAGES,
+    LIST_NAME_PATTERN,
+    MAIN_LIST,
+    tokenize,
+    parseOperations,
+    parseCardSpecification,
+    formatParseError
+};
@@ -0,0 +1,196 @@
+const http = require('http');
+const https = require('https');
+
+// Scryfall API client: one FIFO queue for every request, retries with backoff on 429 and 5xx,
+// and identical requests that are already waiting share a single response.
+// SCRYFALL_API_URL points the bot at a local stand-in server instead of api.scryfall.com.
+let baseUrl = (process.env.SCRYFALL_API_URL || 'https://api.scryfall.com').replace(/\/+$/, '');
+
+const REQUEST_DELAY = 100; // Scryfall asks for 50-100ms between requests
+const REQUEST_TIMEOUT = 10000;
+const MAX_RETRIES = 4;
+const BACKOFF_BASE = 1000; // 1s, 2s, 4s, 8s
+const BACKOFF_MAX = 60 * 1000;
+
+const queue = []; // { url, payload, attempt, resolve, reject }
+const inFlight = new Map(); // method + url + payload -> Promise
+let processing = false;
+let lastRequestAt = 0;
+let pausedUntil = 0;
+
+function setBaseUrl(url) {
+    baseUrl = url.replace(/\/+$/, '');
+}
+
+function getBaseUrl() {
+    return baseUrl;
+}
+
+// Accept paths like "/cards/named?fuzzy=opt" as well as absolute URLs
+function resolveUrl(pathOrUrl) {
+    return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${baseUrl}${pathOrUrl}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function send(url, payload) {
+    return new Promise((resolve, reject) => {
+        console.log(`Fetching from Scryfall: ${url}`);
+
+        // Requests with a body (e.g. /cards/collection) are sent as JSON POSTs
+        const options = {
+            method: payload ? 'POST' : 'GET',
+            headers: {
+                'User-Agent': 'MTG-Discord-Bot/1.0',
+                'Accept': 'application/json'
+            },
+            timeout: REQUEST_TIMEOUT
+        };
+
+        if (payload) {
+            options.headers['Content-Type'] = 'application/json';
+            options.headers['Content-Length'] = Buffer.byteLength(payload);
+        }
+
+        const transport = url.startsWith('http:') ? http : https;
+        const req = transport.request(url, options, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                resolve({ statusCode: res.statusCode, headers: res.headers, data });
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(new Error(`Failed to connect to API: ${error.message}`));
+        });
+
+        req.on('timeout', () => {
+            req.destroy();
+            reject(new Error('API request timed out'));
+        });
+
+        if (payload) {
+            req.write(payload);
+        }
+        req.end();
+    });
+}
+
+// Turn a finished response into a parsed body or the errors the bot checks for
+function handleResponse({ statusCode, data }) {
+    if (!data) {
+        throw new Error('Empty response from Scryfall API');
+    }
+
+    let response;
+    try {
+        response = JSON.parse(data);
+    } catch (parseError) {
+        throw new Error('Failed to parse API response');
+    }
+
+    if (statusCode !== 200) {
+        if (response.object === 'error') {
+            if (response.code === 'not_found') {
+                throw new Error('Not found');
+            } else if (response.code === 'ambiguous') {
+                throw new Error('Ambiguous name');
+            }
+            throw new Error(response.details || `API error: ${response.code}`);
+        }
+        throw new Error(`HTTP ${statusCode}: ${response.message || 'Unknown error'}`);
+    }
+
+    return response;
+}
+
+// Work through the queue one request at a time
+async function processQueue() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        while (queue.length > 0) {
+            const wait = Math.max(pausedUntil, lastRequestAt + REQUEST_DELAY) - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
+
+            const job = queue.shift();
+            lastRequestAt = Date.now();
+
+            let result;
+            try {
+                result = await send(job.url, job.payload);
+            } catch (error) {
+                job.reject(error);
+                continue;
+            }
+
+            // Rate limited or server trouble: pause the whole queue and retry this request first
+            if ((result.statusCode === 429 || result.statusCode >= 500) && job.attempt < MAX_RETRIES) {
+                const backoff = Math.min(BACKOFF_BASE * 2 ** job.attempt, BACKOFF_MAX);
+                const delay = parseRetryAfter(result.headers['retry-after']) ?? backoff;
+                console.log(`Scryfall returned ${result.statusCode}, retrying in ${Math.round(delay / 1000)}s`);
+
+                job.attempt++;
+                pausedUntil = Date.now() + delay;
+                queue.unshift(job);
+                continue;
+            }
+
+            try {
+                job.resolve(handleResponse(result));
+            } catch (error) {
+                job.reject(error);
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+// Queue a request; identical requests still waiting for a reply share the same promise
+function makeApiRequest(pathOrUrl, body = null) {
+    const url = resolveUrl(pathOrUrl);
+    const payload = body ? JSON.stringify(body) : null;
+    const key = `${payload ? 'POST' : 'GET'} ${url} ${payload || ''}`;
+
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+        queue.push({ url, payload, attempt: 0, resolve, reject });
+        processQueue();
+    }).finally(() => {
+        inFlight.delete(key);
+    });
+
+    inFlight.set(key, promise);
+    return promise;
+}
+
+module.exports = {
+    makeApiRequest,
+    setBaseUrl,
+    getBaseUrl
+};
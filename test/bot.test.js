@@ -0,0 +1,128 @@
+// Tests for the list handling in bot.js, run against a small offline card index. Run with: node --test
+// bot.js needs discord.js installed (see Installation) but doesn't connect when loaded like this.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the data file and caches out of the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wants-bot-test-'));
+process.env.DATA_FILE = path.join(dataDir, 'wants.json');
+process.env.CACHE_DIR = dataDir;
+
+const cardIndex = require('../cardIndex');
+const { setBaseUrl } = require('../scryfall');
+const {
+    getGuildData,
+    handleMultipleOperations,
+    handleImportCommand,
+    buildExport,
+    handleBrowse,
+    handleClearWants,
+    handleUndo,
+    handleListsCommand
+} = require('../bot');
+
+// Nothing may reach Scryfall, every lookup has to come from the fixture
+setBaseUrl('http://127.0.0.1:9');
+
+test.before(() => cardIndex.load(path.join(__dirname, 'fixtures', 'default_cards.json')));
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+let guildCount = 0;
+function newGuild() {
+    guildCount++;
+    return getGuildData(`guild-${guildCount}`, 'channel');
+}
+
+function wantKeys(data, userId = 'user') {
+    const userData = data.userWants.get(userId);
+    return userData ? Array.from(userData.cards.keys()) : [];
+}
+
+test('a want added by set name can be removed by set name', async () => {
+    const data = newGuild();
+    await handleMultipleOperations('+2 Opt (Throne of Eldraine)', 'user', 'Tester', data);
+    assert.deepStrictEqual(wantKeys(data), ['Opt|eld']);
+
+    const result = await handleMultipleOperations('-1 Opt (Throne of Eldraine)', 'user', 'Tester', data);
+    assert.match(result.message, /Removed 1x/);
+    await handleMultipleOperations('-1 Opt (ELD)', 'user', 'Tester', data);
+    assert.deepStrictEqual(wantKeys(data), []);
+});
+
+test('older keys that hold a set name are removed by set code', async () => {
+    const data = newGuild();
+    data.userWants.set('user', { username: 'Tester', lists: [], cards: new Map([['Opt|throne of eldraine', { quantity: 1 }]]) });
+
+    await handleMultipleOperations('-1 Opt (ELD)', 'user', 'Tester', data);
+    assert.deepStrictEqual(wantKeys(data), []);
+});
+
+test('a text export imports back to the same wants', async () => {
+    const data = newGuild();
+    await handleMultipleOperations('+2 Lightning Bolt (SLD, 123, foil, borderless) +1 Opt (foil) +3 Sol Ring (CMR, etched, LP) +1 Fire // Ice +4 Opt (Throne of Eldraine)', 'user', 'Tester', data);
+    const original = data.userWants.get('user');
+    assert.strictEqual(original.cards.size, 5);
+
+    const text = buildExport('text', [original]);
+    assert.match(text, /^2x Lightning Bolt \(SLD, #123, foil, borderless\)$/m);
+    await handleImportCommand(text, null, 'other', 'Other', data);
+
+    const quantities = userData => Object.fromEntries(Array.from(userData.cards.entries()).map(([key, entry]) => [key, entry.quantity]));
+    assert.deepStrictEqual(quantities(data.userWants.get('other')), quantities(original));
+});
+
+test('CSV exports resolve older set-name keys to codes', () => {
+    const userData = { username: 'Tester', lists: [], cards: new Map([['Opt|throne of eldraine', { quantity: 1 }], ['Opt|no such set', { quantity: 2 }]]) };
+    assert.deepStrictEqual(buildExport('csv', [userData]).trim().split('\n').slice(1), ['Opt,ELD,,,,,,main,1', 'Opt,,,,,,,main,2']);
+});
+
+test('browsing by set finds older set-name keys and wants for any printing', () => {
+    const data = newGuild();
+    data.userWants.set('user', {
+        username: 'Tester',
+        lists: [],
+        cards: new Map([['Opt|throne of eldraine', { quantity: 1 }], ['Opt', { quantity: 2 }], ['Opt|xln', { quantity: 3 }]])
+    });
+
+    const found = handleBrowse('s:eld', data).embeds[0].toJSON().description;
+    assert.match(found, /1x Opt \(eld\)/);
+    assert.match(found, /2x Opt —/);
+    assert.doesNotMatch(found, /3x/);
+    const excluded = handleBrowse('-s:eld', data).embeds[0].toJSON().description;
+    assert.match(excluded, /3x Opt \(xln\)/);
+    assert.doesNotMatch(excluded, /[12]x/);
+});
+
+test('clearing and undoing keeps named lists, including empty ones', async () => {
+    const data = newGuild();
+    handleListsCommand('create', 'cube', null, 'user', 'Tester', data);
+    handleListsCommand('create', 'later', null, 'user', 'Tester', data);
+    await handleMultipleOperations('+1 Opt @cube +2 Lightning Bolt', 'user', 'Tester', data);
+
+    await handleClearWants('user', 'Tester', data);
+    assert.deepStrictEqual(wantKeys(data), []);
+    assert.deepStrictEqual(data.userWants.get('user').lists, ['cube', 'later']);
+
+    handleUndo('user', 'Tester', data);
+    assert.deepStrictEqual(wantKeys(data), ['Opt', 'Lightning Bolt|list:cube']);
+    assert.deepStrictEqual(data.userWants.get('user').lists, ['cube', 'later']);
+});
+
+test('deck exports hold one list, CSV has a list column', async () => {
+    const data = newGuild();
+    handleListsCommand('create', 'cube', null, 'user', 'Tester', data);
+    await handleMultipleOperations('+4 Lightning Bolt (M25) @cube +1 Lightning Bolt (M25) +1 Sol Ring (CMR)', 'user', 'Tester', data);
+    const userData = data.userWants.get('user');
+
+    assert.strictEqual(buildExport('moxfield', [userData]), '4 Lightning Bolt (M25)\n');
+    assert.strictEqual(buildExport('moxfield', [userData], 'cube'), '1 Lightning Bolt (M25)\n1 Sol Ring (CMR)\n');
+    assert.deepStrictEqual(buildExport('csv', [userData]).trim().split('\n'), [
+        'Card,Set,Collector Number,Finish,Flags,Condition,Language,List,Quantity',
+        'Lightning Bolt,M25,,,,,,main,4',
+        'Lightning Bolt,M25,,,,,,cube,1',
+        'Sol Ring,CMR,,,,,,cube,1'
+    ]);
+});
@@ -0,0 +1,22 @@
+// Tests for the LRU cache and its saved file. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCache } = require('../cache');
+
+test('dropping an expired entry in get() is saved', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cache-')), 'test.json');
+    const cache = createCache({ name: 'test', file });
+
+    cache.set('old', 1, -1);
+    cache.set('new', 2);
+    cache.save();
+
+    assert.strictEqual(cache.get('old'), undefined);
+    cache.save();
+
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(saved.entries.map(([key]) => key), ['new']);
+});
@@ -0,0 +1,27 @@
+// Tests for the offline card index, built from the small bulk file in test/fixtures. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const cardIndex = require('../cardIndex');
+
+test.before(() => cardIndex.load(path.join(__dirname, 'fixtures', 'default_cards.json')));
+
+test('sets by code, name or a part of the name that fits one set', () => {
+    assert.strictEqual(cardIndex.findSet('ELD').code, 'eld');
+    assert.strictEqual(cardIndex.findSet('Throne of Eldraine').code, 'eld');
+    assert.strictEqual(cardIndex.findSet('lair').code, 'sld');
+    assert.strictEqual(cardIndex.findSet('zendikar'), null);
+    assert.throws(() => cardIndex.findSet('e'), /Ambiguous set/);
+    assert.throws(() => cardIndex.findCard('Opt', 'an'), /Ambiguous set/);
+});
+
+test('name words match from their start', () => {
+    assert.strictEqual(cardIndex.findCard('bolt lightning').name, 'Lightning Bolt');
+    assert.strictEqual(cardIndex.findCard('ice').name, 'Fire // Ice');
+    assert.throws(() => cardIndex.findCard('ning'), /Not found/);
+});
+
+test('every printing of a card', () => {
+    assert.deepStrictEqual(cardIndex.getPrintings('Opt').map(card => card.set), ['xln', 'eld']);
+    assert.strictEqual(cardIndex.findPrinting('SLD', '123').id, 'bolt-sld');
+});
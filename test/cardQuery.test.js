@@ -0,0 +1,113 @@
+// Tests for the /wants browse query language. Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCardQuery, matchesCardQuery, needsCardMeta } = require('../cardQuery');
+
+const bolt = {
+    cardName: 'Lightning Bolt',
+    setCode: 'm25',
+    meta: { typeLine: 'Instant', manaCost: '{R}', cmc: 1, colors: ['r'], colorIdentity: ['r'], rarity: 'uncommon', legalities: ['modern', 'legacy'] }
+};
+const fireIce = {
+    cardName: 'Fire // Ice',
+    setCode: null,
+    sets: ['apc', 'mh2'],
+    meta: { typeLine: 'Instant // Instant', manaCost: '{1}{R} // {1}{U}', cmc: 4, colors: ['u', 'r'], colorIdentity: ['u', 'r'], rarity: 'uncommon', legalities: ['modern'] }
+};
+const solRing = {
+    cardName: 'Sol Ring',
+    setCode: 'cmr',
+    meta: { typeLine: 'Artifact', manaCost: '{1}', cmc: 1, colors: [], colorIdentity: [], rarity: 'uncommon', legalities: ['commander'] }
+};
+const ragavan = {
+    cardName: 'Ragavan, Nimble Pilferer',
+    setCode: 'mh2',
+    meta: { typeLine: 'Legendary Creature — Monkey Pirate', manaCost: '{R}', cmc: 1, colors: ['r'], colorIdentity: ['r'], rarity: 'mythic', legalities: ['modern', 'legacy'] }
+};
+const cards = [bolt, fireIce, solRing, ragavan];
+
+// Names of the cards the query matches
+function search(query) {
+    const { terms, errors } = parseCardQuery(query);
+    assert.deepStrictEqual(errors, []);
+    return cards.filter(card => matchesCardQuery(terms, card)).map(card => card.cardName);
+}
+
+function errorsOf(query) {
+    return parseCardQuery(query).errors.map(error => [error.message, error.column]);
+}
+
+test('parse errors', () => {
+    assert.deepStrictEqual(errorsOf('foo:bar'), [['unknown keyword "foo"', 1]]);
+    assert.deepStrictEqual(errorsOf('t:creature c:purple'), [['"purple" is not a color, use e.g. wu, green or c for colorless', 12]]);
+    assert.deepStrictEqual(errorsOf('r:shiny'), [['"shiny" is not a rarity, use common, uncommon, rare or mythic', 1]]);
+    assert.deepStrictEqual(errorsOf('mv>=two'), [['"two" is not a number', 1]]);
+    assert.deepStrictEqual(errorsOf('t>=creature'), [['"t" can\'t be compared with ">="', 1]]);
+    assert.deepStrictEqual(errorsOf('t:""'), [['"t:" needs a value', 1]]);
+    assert.deepStrictEqual(parseCardQuery('').terms, []);
+});
+
+test('names, quoted names and negation', () => {
+    assert.deepStrictEqual(search('bolt'), ['Lightning Bolt']);
+    assert.deepStrictEqual(search('"fire // ice"'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('name:ring'), ['Sol Ring']);
+    assert.deepStrictEqual(search('-bolt -ring'), ['Fire // Ice', 'Ragavan, Nimble Pilferer']);
+});
+
+test('type, mana cost and format', () => {
+    assert.deepStrictEqual(search('t:creature'), ['Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('type:"legendary creature"'), ['Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('t!=instant'), ['Sol Ring', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('m:{u}'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('f:legacy'), ['Lightning Bolt', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('f:edh'), ['Sol Ring']);
+    assert.deepStrictEqual(search('-legal:modern'), ['Sol Ring']);
+});
+
+test('colors compare as sets', () => {
+    assert.deepStrictEqual(search('c:r'), ['Lightning Bolt', 'Fire // Ice', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('c=r'), ['Lightning Bolt', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('c>r'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('c<ur'), ['Lightning Bolt', 'Sol Ring', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('c!=r'), ['Fire // Ice', 'Sol Ring']);
+    assert.deepStrictEqual(search('c:c'), ['Sol Ring']);
+    assert.deepStrictEqual(search('c:m'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('color:blue'), ['Fire // Ice']);
+});
+
+test('color identity fits in a deck', () => {
+    assert.deepStrictEqual(search('id:r'), ['Lightning Bolt', 'Sol Ring', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('id<=ur'), ['Lightning Bolt', 'Fire // Ice', 'Sol Ring', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('id>=ur'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('ci=c'), ['Sol Ring']);
+});
+
+test('rarity and mana value comparisons', () => {
+    assert.deepStrictEqual(search('r:u'), ['Lightning Bolt', 'Fire // Ice', 'Sol Ring']);
+    assert.deepStrictEqual(search('r>=rare'), ['Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('r<mythic'), ['Lightning Bolt', 'Fire // Ice', 'Sol Ring']);
+    assert.deepStrictEqual(search('mv:4'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('cmc>1'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('mv<=1'), ['Lightning Bolt', 'Sol Ring', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('mv!=1'), ['Fire // Ice']);
+    assert.deepStrictEqual(search('mv<1'), []);
+});
+
+test('sets, including wants for any printing', () => {
+    assert.deepStrictEqual(search('s:m25'), ['Lightning Bolt']);
+    assert.deepStrictEqual(search('e:mh2'), ['Fire // Ice', 'Ragavan, Nimble Pilferer']);
+    assert.deepStrictEqual(search('-set:mh2'), ['Lightning Bolt', 'Sol Ring']);
+    assert.deepStrictEqual(search('s:m25 -s:m25'), []);
+});
+
+test('terms combine with AND', () => {
+    assert.deepStrictEqual(search('f:modern c:r mv<=1 -t:creature'), ['Lightning Bolt']);
+});
+
+test('cards without stored data only match name and set terms', () => {
+    const bare = { cardName: 'Opt', setCode: 'eld', meta: null };
+    assert.strictEqual(matchesCardQuery(parseCardQuery('t:instant').terms, bare), false);
+    assert.strictEqual(matchesCardQuery(parseCardQuery('opt s:eld').terms, bare), true);
+    assert.strictEqual(needsCardMeta(parseCardQuery('opt s:eld').terms), false);
+    assert.strictEqual(needsCardMeta(parseCardQuery('opt c:u').terms), true);
+});
@@ -0,0 +1,150 @@
+// Parser tests with real card names that trip up naive splitting. Run with: node --test
+// Nothing here needs Discord or the network.
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOperations, parseCardSpecification, formatParseError } = require('../parser');
+
+// The fields most tests care about, in a compact form
+function summarize(input) {
+    const { operations, errors } = parseOperations(input);
+    return {
+        operations: operations.map(op => [op.operation, op.quantity, op.cardName, op.setCode, op.finish]),
+        errors: errors.map(error => [error.message, error.line, error.column])
+    };
+}
+
+test('commas and hyphens stay inside the card name', () => {
+    assert.deepStrictEqual(summarize('+1 Nicol Bolas, Dragon-God -1 Opt').operations, [
+        ['+', 1, 'Nicol Bolas, Dragon-God', null, null],
+        ['-', 1, 'Opt', null, null]
+    ]);
+    assert.deepStrictEqual(summarize('+1 Lim-Dûl\'s Vault -2 Brainstorm').operations, [
+        ['+', 1, 'Lim-Dûl\'s Vault', null, null],
+        ['-', 2, 'Brainstorm', null, null]
+    ]);
+    assert.deepStrictEqual(summarize('+1 Ach - Hans').operations, [['+', 1, 'Ach - Hans', null, null]]);
+});
+
+test('split and double-faced names keep their // separator', () => {
+    assert.deepStrictEqual(summarize('2x Jace, Vryn\'s Prodigy // Jace, Telepath Unbound (ORI)').operations, [
+        ['+', 2, 'Jace, Vryn\'s Prodigy // Jace, Telepath Unbound', 'ori', null]
+    ]);
+    assert.deepStrictEqual(summarize('+1 Fire // Ice (foil)').operations, [['+', 1, 'Fire // Ice', null, 'foil']]);
+});
+
+test('quoted names', () => {
+    assert.deepStrictEqual(summarize('+1 "Nicol Bolas, Dragon-God" (WAR, foil)').operations, [
+        ['+', 1, 'Nicol Bolas, Dragon-God', 'war', 'foil']
+    ]);
+    // Quotes inside a name are just text
+    assert.deepStrictEqual(summarize('+1 Kongming, "Sleeping Dragon"').operations, [
+        ['+', 1, 'Kongming, "Sleeping Dragon"', null, null]
+    ]);
+    assert.deepStrictEqual(summarize('+1 "Opt" extra').errors, [['unexpected text after the quoted name', 1, 10]]);
+});
+
+test('names that end in parentheses have to be quoted', () => {
+    // Only the last group is the spec, so an unquoted name loses its own parentheses to it
+    assert.deepStrictEqual(summarize('+1 Erase (Not the Urza\'s Legacy One)').operations, [
+        ['+', 1, 'Erase', 'not the urza\'s legacy one', null]
+    ]);
+    assert.deepStrictEqual(summarize('+1 "Erase (Not the Urza\'s Legacy One)"').operations, [
+        ['+', 1, 'Erase (Not the Urza\'s Legacy One)', null, null]
+    ]);
+    assert.deepStrictEqual(summarize('+1 "Erase (Not the Urza\'s Legacy One)" (UNH, foil)').operations, [
+        ['+', 1, 'Erase (Not the Urza\'s Legacy One)', 'unh', 'foil']
+    ]);
+    // With a spec group after it the name keeps its parentheses without quotes
+    assert.deepStrictEqual(summarize('+1 B.F.M. (Big Furry Monster) (UGL)').operations, [
+        ['+', 1, 'B.F.M. (Big Furry Monster)', 'ugl', null]
+    ]);
+    assert.deepStrictEqual(summarize('+1 Opt (M25) (foil)').operations, [['+', 1, 'Opt (M25)', null, 'foil']]);
+});
+
+test('quantities', () => {
+    assert.deepStrictEqual(summarize('2x Lightning Bolt').operations, [['+', 2, 'Lightning Bolt', null, null]]);
+    assert.deepStrictEqual(summarize('+ 2 Opt').operations, [['+', 2, 'Opt', null, null]]);
+    assert.deepStrictEqual(summarize('Opt').operations, [['+', 1, 'Opt', null, null]]);
+    assert.deepStrictEqual(summarize('+0 Opt').errors, [['quantity must be at least 1', 1, 2]]);
+});
+
+test('newline separated lists', () => {
+    const { operations } = parseOperations('4 Lightning Bolt\n2x Opt (ELD)\n1 Fire // Ice');
+    assert.deepStrictEqual(operations.map(op => [op.quantity, op.cardName, op.setCode, op.line]), [
+        [4, 'Lightning Bolt', null, 1],
+        [2, 'Opt', 'eld', 2],
+        [1, 'Fire // Ice', null, 3]
+    ]);
+});
+
+test('spec groups', () => {
+    const [op] = parseOperations('+1 Sol Ring (CMR, 472, etched, LP, ja, <=20)').operations;
+    assert.strictEqual(op.setCode, 'cmr');
+    assert.strictEqual(op.collectorNumber, '472');
+    assert.strictEqual(op.finish, 'etched');
+    assert.strictEqual(op.condition, 'lp');
+    assert.strictEqual(op.language, 'ja');
+    assert.strictEqual(op.maxPrice, 20);
+    assert.strictEqual(op.maxPriceCurrency, 'USD');
+    assert.strictEqual(parseOperations('+1 Opt (<=€8)').operations[0].maxPriceCurrency, 'EUR');
+});
+
+test('set codes that look like a condition or language', () => {
+    const isSetCode = code => ['he', 'mp'].includes(code);
+    const [hebrew] = parseOperations('+1 Opt (he)').operations;
+    assert.deepStrictEqual([hebrew.setCode, hebrew.language], [null, 'he']);
+
+    const [set] = parseOperations('+1 Opt (HE, lang:he)', { isSetCode }).operations;
+    assert.deepStrictEqual([set.setCode, set.language], ['he', 'he']);
+    const [played] = parseOperations('+1 Opt (M25, MP)', { isSetCode }).operations;
+    assert.deepStrictEqual([played.setCode, played.condition], ['m25', 'mp']);
+    const [forced] = parseOperations('+1 Opt (cond:mp)', { isSetCode }).operations;
+    assert.deepStrictEqual([forced.setCode, forced.condition], [null, 'mp']);
+
+    assert.strictEqual(parseCardSpecification('Opt (cn)').setCode, 'cn');
+    assert.deepStrictEqual(summarize('+1 Opt (lang:xx)').errors, [['"xx" is not a language', 1, 9]]);
+});
+
+test('error columns', () => {
+    assert.deepStrictEqual(summarize('+1 Opt (M25').errors, [['missing ")" for this "("', 1, 8]]);
+    assert.deepStrictEqual(summarize('+1 Opt (M25))').errors, [['unexpected ")"', 1, 13]]);
+    assert.deepStrictEqual(summarize('+1 (M25)').errors, [['expected a card name before "("', 1, 4]]);
+    assert.deepStrictEqual(summarize('+1 Opt (M25, foil, etched)').errors, [
+        ['only one finish can be given, found "foil" and "etched"', 1, 20]
+    ]);
+    assert.deepStrictEqual(summarize('+1 Opt\n+1 "Bolt').errors, [['unterminated quote', 2, 4]]);
+    assert.deepStrictEqual(summarize('+1 Opt (M25, <5)').errors, [['"<5" is not a price, use e.g. <=80', 1, 14]]);
+    assert.deepStrictEqual(summarize('+1 Opt (M25, ELD)').errors, [['only one set can be given, found "m25" and "ELD"', 1, 14]]);
+    assert.deepStrictEqual(summarize('+1 Opt (#12)').errors, [['a collector number needs a set, e.g. (SLD, 123)', 1, 9]]);
+    assert.deepStrictEqual(summarize('+1 "" (M25)').errors, [['empty card name', 1, 4]]);
+    assert.deepStrictEqual(summarize('+1 Opt\n-1 Bolt (M25, foil, foil)').errors, [
+        ['only one finish can be given, found "foil" and "foil"', 2, 21]
+    ]);
+    assert.deepStrictEqual(summarize('+1 Opt (p2, p4)').errors, [['only one priority can be given, found 2 and 4', 1, 13]]);
+});
+
+test('a sign with no card after it is an error', () => {
+    const result = summarize('+1 Bolt (M25, foil) -');
+    assert.deepStrictEqual(result.operations, [['+', 1, 'Bolt', 'm25', 'foil']]);
+    assert.deepStrictEqual(result.errors, [['expected a card name', 1, 22]]);
+    assert.deepStrictEqual(summarize('+1 Opt +\n-1 Bolt').errors, [['expected a card name', 1, 9]]);
+});
+
+test('a list switch with no card after it is an error', () => {
+    assert.deepStrictEqual(summarize('+1 Opt @cube').errors, [['expected a card after "@cube"', 1, 8]]);
+    assert.deepStrictEqual(summarize('@cube @modern +1 Opt').errors, [['expected a card after "@cube"', 1, 1]]);
+    const { operations, errors } = parseOperations('@cube\n4 Lightning Bolt\n@main\n1 Opt');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(operations.map(op => [op.cardName, op.list]), [['Lightning Bolt', 'cube'], ['Opt', null]]);
+});
+
+test('formatParseError points at the column', () => {
+    const input = '+1 Opt (M25';
+    const [error] = parseOperations(input).errors;
+    assert.strictEqual(formatParseError(input, error), '❌ Column 8: missing ")" for this "("\n```\n+1 Opt (M25\n       ^\n```');
+});
+
+test('parseCardSpecification falls back to the whole text', () => {
+    assert.strictEqual(parseCardSpecification('Lightning Bolt (M25, foil)').finish, 'foil');
+    assert.strictEqual(parseCardSpecification('Lightning Bolt (M25').cardName, 'Lightning Bolt (M25');
+});